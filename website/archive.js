@@ -0,0 +1,203 @@
+// Offline install archives: a .zip or .tar.gz of chosen skills, packed in
+// the browser from api/skills/<name>.json so no server is involved. Each
+// skill keeps its skills/<category>/<name>/ layout; MANIFEST.json records
+// the catalog version and every skill's and file's hash, and SHA256SUMS
+// lets `sha256sum -c` check the files after unpacking.
+
+const ARCHIVE_ROOT = 'low-level-dev-skills';
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Stored (uncompressed) zip with UTF-8 names, which every unzip reads.
+function zipArchive(entries, date = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data = entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, day, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+function tarField(header, offset, length, value) {
+  const bytes = new TextEncoder().encode(value);
+  header.set(bytes.subarray(0, length), offset);
+}
+
+// ustar header; names over 100 bytes are split into prefix and name at a
+// slash.
+function tarHeader(path, size, mtime) {
+  const header = new Uint8Array(512);
+  let name = path;
+  let prefix = '';
+  if (new TextEncoder().encode(path).length > 100) {
+    const cut = path.lastIndexOf('/', 155);
+    prefix = path.slice(0, cut);
+    name = path.slice(cut + 1);
+  }
+  tarField(header, 0, 100, name);
+  tarField(header, 100, 8, '0000644\0');
+  tarField(header, 108, 8, '0000000\0');
+  tarField(header, 116, 8, '0000000\0');
+  tarField(header, 124, 12, `${size.toString(8).padStart(11, '0')}\0`);
+  tarField(header, 136, 12, `${mtime.toString(8).padStart(11, '0')}\0`);
+  tarField(header, 148, 8, '        ');
+  tarField(header, 156, 1, '0');
+  tarField(header, 257, 8, 'ustar\x0000');
+  tarField(header, 345, 155, prefix);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  tarField(header, 148, 8, `${sum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+function tarArchive(entries, date = new Date()) {
+  const mtime = Math.floor(date.getTime() / 1000);
+  const parts = [];
+  for (const { path, data } of entries) {
+    parts.push(tarHeader(path, data.length, mtime), data);
+    const padding = (512 - (data.length % 512)) % 512;
+    if (padding) parts.push(new Uint8Array(padding));
+  }
+  parts.push(new Uint8Array(1024));
+  return new Blob(parts, { type: 'application/x-tar' });
+}
+
+// Gzipped where the browser has CompressionStream, plain tar otherwise.
+function tarGzArchive(entries) {
+  const tar = tarArchive(entries);
+  if (typeof CompressionStream === 'undefined') return Promise.resolve({ blob: tar, ext: 'tar' });
+  return new Response(tar.stream().pipeThrough(new CompressionStream('gzip'))).blob()
+    .then(blob => ({ blob: new Blob([blob], { type: 'application/gzip' }), ext: 'tar.gz' }));
+}
+
+function loadSkillDocument(name) {
+  return fetch(`api/skills/${name}.json`).then(res => {
+    if (!res.ok) throw new Error(`${name}: HTTP ${res.status}`);
+    return res.json();
+  });
+}
+
+function archiveManifest(docs) {
+  return {
+    name: ARCHIVE_ROOT,
+    repository: `https://github.com/${REPO_SLUG}`,
+    source: location.origin,
+    catalogVersion: docs.length ? docs[0].version : null,
+    created: new Date().toISOString(),
+    count: docs.length,
+    skills: docs.map(doc => ({
+      name: doc.name,
+      category: doc.category,
+      path: doc.path,
+      hash: doc.hash,
+      files: doc.files.map(file => ({ path: file.path, hash: file.hash })),
+    })),
+  };
+}
+
+function archiveEntries(docs) {
+  const encoder = new TextEncoder();
+  const entries = docs.flatMap(doc => doc.files.map(file => ({
+    path: `${ARCHIVE_ROOT}/${doc.path}/${file.path}`,
+    data: encoder.encode(file.content),
+  })));
+  const sums = docs.flatMap(doc => doc.files.map(file => `${file.hash}  ${doc.path}/${file.path}\n`)).join('');
+  entries.push(
+    { path: `${ARCHIVE_ROOT}/MANIFEST.json`, data: encoder.encode(`${JSON.stringify(archiveManifest(docs), null, 2)}\n`) },
+    { path: `${ARCHIVE_ROOT}/SHA256SUMS`, data: encoder.encode(sums) },
+  );
+  return entries;
+}
+
+// Fetches `names` and packs them; resolves to { blob, filename }.
+function buildArchive(names, format, label) {
+  return Promise.all(names.map(loadSkillDocument)).then(docs => {
+    const entries = archiveEntries(docs);
+    const packed = format === 'zip'
+      ? Promise.resolve({ blob: zipArchive(entries), ext: 'zip' })
+      : tarGzArchive(entries);
+    return packed.then(({ blob, ext }) => ({ blob, filename: `${ARCHIVE_ROOT}-${label}.${ext}` }));
+  });
+}
+
+// `btn` carries data-skills, data-format (zip or tgz) and data-label, and
+// shows progress while the archive is packed.
+function downloadArchive(btn) {
+  const orig = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = 'PACKING...';
+  buildArchive(btn.dataset.skills.split(' '), btn.dataset.format, btn.dataset.label).then(({ blob, filename }) => {
+    downloadBlob(blob, filename);
+    btn.textContent = orig;
+  }).catch(() => {
+    btn.textContent = 'FAILED';
+    setTimeout(() => { btn.textContent = orig; }, 2000);
+  }).finally(() => {
+    btn.disabled = false;
+  });
+}
+
+function archiveButtons(names, label) {
+  const skillsAttr = names.join(' ');
+  return `
+    <button class="archive-btn" data-skills="${skillsAttr}" data-format="zip" data-label="${label}"
+            title="Download these skills as a .zip">[.zip]</button>
+    <button class="archive-btn" data-skills="${skillsAttr}" data-format="tgz" data-label="${label}"
+            title="Download these skills as a .tar.gz">[.tar.gz]</button>`;
+}
@@ -0,0 +1,155 @@
+// Custom install bundle: skills picked from the grid or from tag
+// subcategories, deduplicated into a single `npx skills add` command.
+// The selection lives in the ?skills= query parameter so a link to the
+// page restores it.
+
+const cart = new Set();
+let cartExpanded = false;
+
+function isInCart(name) {
+  return cart.has(name);
+}
+
+function cartButton(name) {
+  const inCart = isInCart(name);
+  const action = inCart ? 'Remove' : 'Add';
+  return `<button class="skill-cart-btn" type="button" data-skill="${name}" aria-pressed="${inCart}"
+    aria-label="${action} ${name} ${inCart ? 'from' : 'to'} bundle" title="${action} ${inCart ? 'from' : 'to'} bundle">${inCart ? '[x]' : '[+]'}</button>`;
+}
+
+function readCartFromUrl() {
+  const param = new URLSearchParams(location.search).get('skills');
+  if (!param) return;
+  const known = new Set(skills.map(s => s.name));
+  param.split(',').filter(name => known.has(name)).forEach(name => cart.add(name));
+}
+
+function cartUrl() {
+  const url = new URL(location.href);
+  if (cart.size) {
+    url.searchParams.set('skills', [...cart].join(','));
+  } else {
+    url.searchParams.delete('skills');
+  }
+  url.search = url.searchParams.toString().replace(/%2C/g, ',');
+  return url.toString();
+}
+
+function shareUrl() {
+  const url = new URL(cartUrl());
+  url.hash = '';
+  return url.toString();
+}
+
+function addToCart(names) {
+  names.forEach(name => cart.add(name));
+  updateCart();
+}
+
+function removeFromCart(name) {
+  cart.delete(name);
+  updateCart();
+}
+
+function updateCart() {
+  history.replaceState(history.state, '', cartUrl());
+  renderCart();
+  refreshInstallPreview();
+  document.querySelectorAll('.skill-card[data-skill]').forEach(card => {
+    const name = card.dataset.skill;
+    card.classList.toggle('in-cart', isInCart(name));
+    card.querySelector('.skill-cart-btn').outerHTML = cartButton(name);
+  });
+}
+
+function renderCart() {
+  const container = document.getElementById('cart');
+  if (!container) return;
+
+  if (!cart.size) {
+    container.setAttribute('hidden', '');
+    container.innerHTML = '';
+    return;
+  }
+
+  const names = [...cart];
+  const cmd = buildCmd(names);
+  container.removeAttribute('hidden');
+  container.innerHTML = `
+    <div class="cart-header">
+      <span class="cart-title"><span class="prompt">&gt;</span> bundle <span class="highlight">(${names.length} skill${names.length === 1 ? '' : 's'})</span></span>
+      <button class="tag-toggle-btn cart-toggle" aria-expanded="${cartExpanded}" aria-controls="cartBody"
+              aria-label="${cartExpanded ? 'Hide' : 'Show'} bundle contents">${cartExpanded ? '[-]' : '[+]'}</button>
+    </div>
+    <div class="tag-cmd-wrap">
+      <code class="tag-cmd" data-install="${names.join(' ')}">${cmd}</code>
+      <button class="tag-copy-btn" data-cmd="${cmd}" data-install="${names.join(' ')}" title="Copy bundle install command">[COPY]</button>
+    </div>
+    <div class="cart-body" id="cartBody"${cartExpanded ? '' : ' hidden'}>
+      <div class="cart-items">
+        ${names.map(name => `
+          <span class="cart-item"><code class="subcat-skill-chip">${name}</code><button class="cart-remove-btn"
+            data-skill="${name}" aria-label="Remove ${name} from bundle" title="Remove">x</button></span>`).join('')}
+      </div>
+      <div class="cart-actions">
+        <button class="tag-copy-btn" data-cmd="${escapeHtml(shareUrl())}" title="Copy a link that restores this bundle">[COPY LINK]</button>
+        <button class="tag-copy-btn" data-cmd="${installCommand()}" data-install="--all"
+                title="Copy the command that installs every skill">[COPY --all]</button>
+        <button class="tag-copy-btn" data-action="script" title="Download a shell script that installs this bundle">[DOWNLOAD .sh]</button>
+        ${archiveButtons(names, 'bundle')}
+        <button class="tag-copy-btn cart-clear-btn">[CLEAR]</button>
+      </div>
+    </div>`;
+}
+
+function setupCart() {
+  const container = document.getElementById('cart');
+  const grid = document.getElementById('skillsGrid');
+  if (!container) return;
+
+  grid.addEventListener('click', (e) => {
+    const btn = e.target.closest('.skill-cart-btn');
+    if (!btn) return;
+    if (isInCart(btn.dataset.skill)) {
+      removeFromCart(btn.dataset.skill);
+    } else {
+      addToCart([btn.dataset.skill]);
+    }
+    const card = grid.querySelector(`.skill-card[data-skill="${btn.dataset.skill}"] .skill-cart-btn`);
+    if (card) card.focus();
+  });
+
+  container.addEventListener('click', (e) => {
+    const remove = e.target.closest('.cart-remove-btn');
+    if (remove) {
+      removeFromCart(remove.dataset.skill);
+      const next = container.querySelector('.cart-remove-btn') || container.querySelector('.cart-toggle');
+      if (next) next.focus();
+      return;
+    }
+    if (e.target.closest('.cart-clear-btn')) {
+      cart.clear();
+      updateCart();
+      return;
+    }
+    if (e.target.closest('[data-action="script"]')) {
+      downloadInstallScript([...cart]);
+      return;
+    }
+    const archive = e.target.closest('.archive-btn');
+    if (archive) {
+      downloadArchive(archive);
+      return;
+    }
+    if (e.target.closest('.cart-toggle')) {
+      cartExpanded = !cartExpanded;
+      renderCart();
+      container.querySelector('.cart-toggle').focus();
+      return;
+    }
+    const copy = e.target.closest('.tag-copy-btn');
+    if (copy) copyWithFeedback(copy, copy.dataset.cmd);
+  });
+
+  renderCart();
+}
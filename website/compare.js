@@ -0,0 +1,246 @@
+// Side-by-side comparison (#/compare/<a>,<b>[,<c>]): the Purpose,
+// Triggers, Workflow and Common Problems sections of two or three skills
+// in aligned rows, the commands each one uses that the others don't, and
+// any comparison doc among their references. Skills are picked with the
+// [cmp] button on the skill cards.
+
+const COMPARE_SECTIONS = [
+  { key: 'purpose', title: 'Purpose' },
+  { key: 'triggers', title: 'Triggers' },
+  { key: 'workflow', title: 'Workflow' },
+  { key: 'problems', title: 'Common Problems' },
+];
+const COMPARE_MAX = 3;
+// references/valgrind-vs-asan.md, references/gdb-lldb-map.md, ...
+const COMPARISON_DOC_RE = /-vs-|-map\.md$/;
+
+const compareSelection = [];
+let currentCompare = null;
+
+function compareHref(names) {
+  return `#/compare/${names.join(',')}`;
+}
+
+function compareButton(name) {
+  const selected = compareSelection.includes(name);
+  const full = !selected && compareSelection.length >= COMPARE_MAX;
+  const title = selected ? 'Remove from comparison' : full ? `Compare at most ${COMPARE_MAX} skills` : 'Add to comparison';
+  return `<button class="skill-compare-btn" type="button" data-skill="${name}" aria-pressed="${selected}"${full ? ' disabled' : ''}
+    aria-label="Compare ${name}" title="${title}">${selected ? '[cmp x]' : '[cmp]'}</button>`;
+}
+
+function renderCompareBar() {
+  const bar = document.getElementById('compareBar');
+  if (!bar) return;
+
+  if (!compareSelection.length) {
+    bar.setAttribute('hidden', '');
+    bar.innerHTML = '';
+    return;
+  }
+  const ready = compareSelection.length > 1;
+  bar.removeAttribute('hidden');
+  bar.innerHTML = `
+    <span class="prompt">$</span> cmp
+    ${compareSelection.map(name => `
+      <span class="cart-item"><code class="subcat-skill-chip">${name}</code><button class="cart-remove-btn"
+        data-skill="${name}" aria-label="Remove ${name} from comparison" title="Remove">x</button></span>`).join('')}
+    ${ready
+      ? `<a class="tag-copy-btn compare-open" href="${compareHref(compareSelection)}">[COMPARE]</a>`
+      : '<span class="compare-hint">pick one or two more skills</span>'}
+    <button class="tag-copy-btn compare-clear-btn">[CLEAR]</button>`;
+}
+
+function updateCompare() {
+  renderCompareBar();
+  document.querySelectorAll('#skillsGrid .skill-compare-btn').forEach(btn => {
+    btn.outerHTML = compareButton(btn.dataset.skill);
+  });
+}
+
+function toggleCompare(name) {
+  const i = compareSelection.indexOf(name);
+  if (i >= 0) {
+    compareSelection.splice(i, 1);
+  } else if (compareSelection.length < COMPARE_MAX) {
+    compareSelection.push(name);
+  }
+  updateCompare();
+}
+
+// Splits a rendered SKILL.md into the HTML of each template section, from
+// its heading to the next level-1 or level-2 heading. Heading ids are
+// dropped since every column would repeat them.
+function sectionParts(doc) {
+  const tpl = document.createElement('template');
+  tpl.innerHTML = doc.html;
+  const parts = {};
+  for (const { key, id } of doc.sections) {
+    const heading = tpl.content.getElementById(id);
+    if (!heading) continue;
+    const part = document.createElement('div');
+    for (let node = heading.nextElementSibling; node && !/^H[12]$/.test(node.tagName); node = node.nextElementSibling) {
+      part.appendChild(node.cloneNode(true));
+    }
+    part.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    parts[key] = part.innerHTML;
+  }
+  return parts;
+}
+
+function sectionCommands(doc) {
+  const keys = new Set(COMPARE_SECTIONS.map(s => s.key));
+  return [...new Set(doc.sections.filter(s => keys.has(s.key)).flatMap(s => s.commands))];
+}
+
+function renderCommandCell(commands, others) {
+  if (!commands.length) return '<p class="compare-missing">no shell or debugger commands</p>';
+  const unique = commands.filter(cmd => !others.has(cmd));
+  const shared = commands.filter(cmd => others.has(cmd));
+  const item = (cmd, cls) => `<li class="${cls}"><code>${escapeHtml(cmd)}</code></li>`;
+  return `
+    <p class="compare-count">${unique.length} only here, ${shared.length} shared</p>
+    <ul class="compare-commands">
+      ${unique.map(cmd => item(cmd, 'compare-unique')).join('')}
+      ${shared.map(cmd => item(cmd, 'compare-shared')).join('')}
+    </ul>`;
+}
+
+function renderCompare(entries) {
+  const names = entries.map(e => e.skill.name);
+  const cmd = buildCmd(names);
+  const cell = (skill, html) => `
+    <div class="compare-cell">
+      <div class="compare-cell-name">/${skill.name}</div>
+      ${html}
+    </div>`;
+  const row = (title, cells) => `
+    <h2 class="compare-row-title">## ${title}</h2>
+    <div class="compare-row">${cells.join('')}</div>`;
+
+  const sections = COMPARE_SECTIONS.map(({ key, title }) => row(title, entries.map(({ skill, parts }) =>
+    cell(skill, parts[key]
+      ? `<div class="markdown-body">${parts[key]}</div>`
+      : `<p class="compare-missing">no ${title} section</p>`))));
+
+  const commands = entries.map(e => sectionCommands(e.doc));
+  const commandRow = row('Commands', entries.map(({ skill }, i) => {
+    const others = new Set(commands.filter((_, j) => j !== i).flat());
+    return cell(skill, renderCommandCell(commands[i], others));
+  }));
+
+  const docs = entries.flatMap(({ doc }) => doc.references
+    .filter(ref => COMPARISON_DOC_RE.test(ref.file))
+    .map(ref => `
+      <li><a href="#/skill/${doc.name}/${ref.id}">${escapeHtml(ref.title)}</a>
+        <span class="detail-reference-path">${doc.path}/references/${escapeHtml(ref.file)}</span></li>`));
+
+  return `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="skill-category">compare</span>
+    </div>
+    <h1 class="detail-title">${names.map(name => `/${name}`).join(' <span class="compare-vs">vs</span> ')}</h1>
+    <div class="tag-cmd-wrap detail-install">
+      <span class="prompt">$</span>
+      <code class="tag-cmd" data-install="${names.join(' ')}">${cmd}</code>
+      <button class="tag-copy-btn" data-cmd="${cmd}" data-install="${names.join(' ')}" title="Copy the command that installs all of these">[COPY]</button>
+      <button class="subcat-cart-btn" data-skills="${names.join(' ')}" title="Add these skills to the bundle">[+ BUNDLE]</button>
+    </div>
+    ${docs.length ? `<div class="compare-docs"><span class="detail-toc-title">## see also</span><ul>${docs.join('')}</ul></div>` : ''}
+    <div class="compare-grid" style="--compare-cols: ${entries.length}">
+      <div class="compare-row">${entries.map(({ skill }) => `
+        <div class="compare-cell compare-head">
+          <a class="skill-name" href="#/skill/${skill.name}">/${skill.name}</a>
+          <span class="skill-category">${skill.category}</span>
+          <p class="skill-desc">${escapeHtml(skill.desc)}</p>
+        </div>`).join('')}
+      </div>
+      ${sections.join('')}
+      ${commandRow}
+    </div>
+    <p class="compare-legend"><span class="compare-unique">highlighted</span> commands appear in only that skill</p>`;
+}
+
+function showCompare(param) {
+  const container = document.getElementById('compareView');
+  const names = [...new Set(param.split(','))];
+  const picked = names.map(name => skills.find(s => s.name === name));
+  currentCompare = param;
+  window.scrollTo(0, 0);
+
+  const missing = names.filter((name, i) => !picked[i]);
+  if (missing.length || names.length < 2 || names.length > COMPARE_MAX) {
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">cmp: ${missing.length
+        ? `${missing.map(escapeHtml).join(', ')}: No such skill`
+        : `compare 2 to ${COMPARE_MAX} skills, not ${names.length}`}</p>`;
+    return;
+  }
+
+  compareSelection.splice(0, compareSelection.length, ...names);
+  updateCompare();
+  document.title = `${names.map(name => `/${name}`).join(' vs ')} — Low-Level Dev Skills`;
+  container.innerHTML = `<p class="detail-loading">cmp ${names.map(name => `${name}/SKILL.md`).join(' ')} ...</p>`;
+
+  Promise.all(names.map(loadSkillContent)).then(docs => {
+    if (currentCompare !== param) return;
+    container.innerHTML = renderCompare(docs.map((doc, i) => ({ skill: picked[i], doc, parts: sectionParts(doc) })));
+  }).catch(err => {
+    if (currentCompare !== param) return;
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">error: could not load ${names.map(escapeHtml).join(', ')} (${escapeHtml(err.message)})</p>`;
+  });
+}
+
+addRoute(/^#\/compare\/([\w-]+(?:,[\w-]+)*)$/, {
+  id: 'compareView',
+  show: m => showCompare(m[1]),
+  hide: () => {
+    currentCompare = null;
+    document.getElementById('compareView').innerHTML = '';
+  },
+});
+
+function setupCompare() {
+  const container = document.getElementById('compareView');
+  const bar = document.getElementById('compareBar');
+  const grid = document.getElementById('skillsGrid');
+  if (!container || !bar) return;
+  renderCompareBar();
+
+  grid.addEventListener('click', (e) => {
+    const btn = e.target.closest('.skill-compare-btn');
+    if (!btn) return;
+    toggleCompare(btn.dataset.skill);
+    const card = grid.querySelector(`.skill-card[data-skill="${btn.dataset.skill}"] .skill-compare-btn`);
+    if (card) card.focus();
+  });
+
+  bar.addEventListener('click', (e) => {
+    const remove = e.target.closest('.cart-remove-btn');
+    if (remove) {
+      toggleCompare(remove.dataset.skill);
+    } else if (e.target.closest('.compare-clear-btn')) {
+      compareSelection.length = 0;
+      updateCompare();
+    }
+  });
+
+  container.addEventListener('click', (e) => {
+    const codeBtn = e.target.closest('.code-copy-btn');
+    if (codeBtn) {
+      copyWithFeedback(codeBtn, codeBtn.closest('.code-block').querySelector('code').textContent);
+      return;
+    }
+    const bundle = e.target.closest('.subcat-cart-btn');
+    if (bundle) {
+      addToCart(bundle.dataset.skills.split(' '));
+      return;
+    }
+    const cmdBtn = e.target.closest('.tag-copy-btn');
+    if (cmdBtn) copyWithFeedback(cmdBtn, cmdBtn.dataset.cmd);
+  });
+}
@@ -0,0 +1,185 @@
+// Snippet cookbook (#/cookbook): every fenced code block from the skills'
+// SKILL.md and references, generated into cookbook.json at build time.
+// Search and the language and category filters are kept in the hash
+// (#/cookbook?q=&lang=&category=) so a filtered list can be shared.
+
+const COOKBOOK_PAGE = 100;
+
+let cookbookRequest = null;
+let cookbook = null;
+let cookbookFilter = { q: '', lang: '', category: '' };
+let cookbookResults = [];
+let cookbookShown = COOKBOOK_PAGE;
+
+function loadCookbook() {
+  if (!cookbookRequest) {
+    cookbookRequest = fetch('cookbook.json').then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    });
+    cookbookRequest.catch(() => { cookbookRequest = null; });
+  }
+  return cookbookRequest;
+}
+
+function cookbookHash(filter) {
+  const params = new URLSearchParams();
+  for (const key of ['q', 'lang', 'category']) {
+    if (filter[key]) params.set(key, filter[key]);
+  }
+  const query = params.toString();
+  return `#/cookbook${query ? `?${query}` : ''}`;
+}
+
+// Every query word must occur in the snippet's skill, heading or code.
+function filterSnippets(snippets, filter) {
+  const words = filter.q.toLowerCase().split(/\s+/).filter(Boolean);
+  return snippets.filter(snippet => {
+    if (filter.lang && snippet.lang !== filter.lang) return false;
+    if (filter.category && snippet.category !== filter.category) return false;
+    if (!words.length) return true;
+    const text = `${snippet.skill} ${snippet.heading || ''} ${snippet.code}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+function countOptions(values, selected, allLabel) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const sorted = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return [`<option value="">${allLabel}</option>`, ...sorted.map(([value, count]) => `
+    <option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)} (${count})</option>`)].join('');
+}
+
+function renderSnippet(snippet, index) {
+  const href = `#/skill/${snippet.skill}${snippet.anchor ? `/${snippet.anchor}` : ''}`;
+  return `
+    <article class="cookbook-snippet">
+      <div class="cookbook-source">
+        <a href="${href}">/${snippet.skill}</a>
+        <span class="detail-reference-path">${escapeHtml(snippet.file)}${snippet.heading ? ` &gt; ${escapeHtml(snippet.heading)}` : ''}</span>
+      </div>
+      <div class="code-block">
+        <div class="code-header"><span class="code-lang">${escapeHtml(snippet.lang)}</span>
+          <button class="code-copy-btn" type="button" data-index="${index}" title="Copy code">[COPY]</button></div>
+        <pre><code class="lang-${escapeHtml(snippet.lang)}">${snippet.html}</code></pre>
+      </div>
+    </article>`;
+}
+
+function renderCookbookResults(container) {
+  const list = container.querySelector('.cookbook-list');
+  const shown = cookbookResults.slice(0, cookbookShown);
+  list.innerHTML = shown.map(renderSnippet).join('') ||
+    `<p class="skills-empty">grep: no snippets match '${escapeHtml(cookbookFilter.q)}'</p>`;
+
+  const more = container.querySelector('.cookbook-more');
+  more.hidden = cookbookResults.length <= cookbookShown;
+  container.querySelector('.cookbook-status').textContent =
+    `${cookbookResults.length} snippet${cookbookResults.length === 1 ? '' : 's'}` +
+    (cookbookResults.length > shown.length ? `, showing ${shown.length}` : '');
+}
+
+// Re-filters and records the filter in the hash without a history entry,
+// so the router is not run again.
+function updateCookbook(container) {
+  cookbookResults = filterSnippets(cookbook.snippets, cookbookFilter);
+  cookbookShown = COOKBOOK_PAGE;
+  history.replaceState(history.state, '', cookbookHash(cookbookFilter));
+  renderCookbookResults(container);
+}
+
+function renderCookbook(container) {
+  const snippets = cookbook.snippets;
+  container.innerHTML = `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="section-title">grep -r '\`\`\`' skills/</span>
+    </div>
+    <h1 class="detail-title">cookbook</h1>
+    <p class="detail-desc">${snippets.length} code blocks from every SKILL.md and reference, ready to copy.</p>
+    <div class="search-bar">
+      <label class="search-prompt" for="cookbookSearch">grep -i</label>
+      <input type="search" id="cookbookSearch" class="search-input" value="${escapeHtml(cookbookFilter.q)}"
+             placeholder="command, flag or skill..." autocomplete="off" spellcheck="false">
+      <span class="search-status cookbook-status" aria-live="polite"></span>
+    </div>
+    <div class="cookbook-filters">
+      <label class="installer-field">lang
+        <select class="installer-select" id="cookbookLang">
+          ${countOptions(snippets.map(s => s.lang), cookbookFilter.lang, 'all')}
+        </select>
+      </label>
+      <label class="installer-field">category
+        <select class="installer-select" id="cookbookCategory">
+          ${countOptions(snippets.map(s => s.category), cookbookFilter.category, 'all')}
+        </select>
+      </label>
+    </div>
+    <div class="cookbook-list"></div>
+    <button class="tag-copy-btn cookbook-more" hidden>[SHOW MORE]</button>`;
+
+  cookbookResults = filterSnippets(snippets, cookbookFilter);
+  renderCookbookResults(container);
+}
+
+function readCookbookFilter(query) {
+  const params = new URLSearchParams(query || '');
+  return { q: params.get('q') || '', lang: params.get('lang') || '', category: params.get('category') || '' };
+}
+
+function showCookbook(query) {
+  const container = document.getElementById('cookbookView');
+  cookbookFilter = readCookbookFilter(query);
+  cookbookShown = COOKBOOK_PAGE;
+  document.title = 'Snippet cookbook — Low-Level Dev Skills';
+  window.scrollTo(0, 0);
+  container.innerHTML = '<p class="detail-loading">grep -r \'```\' skills/ ...</p>';
+
+  loadCookbook().then(data => {
+    if (!container.classList.contains('view-active')) return;
+    cookbook = data;
+    renderCookbook(container);
+  }).catch(err => {
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">error: could not load the cookbook (${escapeHtml(err.message)})</p>`;
+  });
+}
+
+addRoute(/^#\/cookbook(?:\?(.*))?$/, {
+  id: 'cookbookView',
+  show: m => showCookbook(m[1]),
+  hide: () => {
+    document.getElementById('cookbookView').innerHTML = '';
+  },
+});
+
+function setupCookbook() {
+  const container = document.getElementById('cookbookView');
+  if (!container) return;
+
+  container.addEventListener('input', (e) => {
+    if (e.target.id !== 'cookbookSearch') return;
+    cookbookFilter.q = e.target.value;
+    updateCookbook(container);
+  });
+
+  container.addEventListener('change', (e) => {
+    if (e.target.id === 'cookbookLang') cookbookFilter.lang = e.target.value;
+    if (e.target.id === 'cookbookCategory') cookbookFilter.category = e.target.value;
+    updateCookbook(container);
+  });
+
+  container.addEventListener('click', (e) => {
+    const copy = e.target.closest('.code-copy-btn');
+    if (copy) {
+      copyWithFeedback(copy, cookbookResults[Number(copy.dataset.index)].code);
+      return;
+    }
+    if (e.target.closest('.cookbook-more')) {
+      cookbookShown += COOKBOOK_PAGE;
+      renderCookbookResults(container);
+    }
+  });
+}
@@ -0,0 +1,216 @@
+// Coverage and quality dashboard (#/dashboard): skills per category,
+// SKILL.md length, and which skills lack references/, a Triggers or When
+// to Use section, related-skills links, incoming links or an install
+// bundle. Figures come from dashboard.json, which the build derives from
+// the same parsed skills as the catalog.
+
+const WORD_BUCKET = 200;
+
+// Each check lists the skills that fail it; `key` is the table column
+// whose cell is flagged for them.
+const DASHBOARD_CHECKS = [
+  { key: 'references', label: 'have references/', fails: s => !s.references },
+  { key: 'triggers', label: 'have a Triggers or When to Use section', fails: s => !s.triggers },
+  { key: 'related', label: 'link to related skills', fails: s => !s.related },
+  { key: 'linkedFrom', label: 'are linked to by another skill', fails: s => !s.linkedFrom },
+  { key: 'bundles', label: 'are in a tagInstalls bundle', fails: s => !s.bundles.length },
+];
+
+const DASHBOARD_COLUMNS = [
+  { key: 'name', label: 'skill' },
+  { key: 'category', label: 'category' },
+  { key: 'words', label: 'words', numeric: true },
+  { key: 'references', label: 'refs', numeric: true },
+  { key: 'referenceWords', label: 'ref words', numeric: true },
+  { key: 'triggers', label: 'triggers' },
+  { key: 'related', label: 'links out', numeric: true },
+  { key: 'linkedFrom', label: 'links in', numeric: true },
+  { key: 'bundles', label: 'bundles' },
+];
+
+let dashboardRequest = null;
+let dashboardSort = { key: 'words', dir: -1 };
+
+function loadDashboard() {
+  if (!dashboardRequest) {
+    dashboardRequest = fetch('dashboard.json').then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    });
+    dashboardRequest.catch(() => { dashboardRequest = null; });
+  }
+  return dashboardRequest;
+}
+
+function meter(done, total) {
+  const filled = total ? Math.round((done / total) * 20) : 0;
+  return `[${'#'.repeat(filled)}${'-'.repeat(20 - filled)}]`;
+}
+
+// Horizontal bar chart; `rows` are { label, value, color? }.
+function barChart(rows, title) {
+  const max = Math.max(1, ...rows.map(r => r.value));
+  return `
+    <div class="dash-chart" role="table" aria-label="${escapeHtml(title)}">
+      ${rows.map(({ label, value, color }) => `
+        <div class="dash-chart-row" role="row">
+          <span class="dash-chart-label" role="rowheader">${escapeHtml(label)}</span>
+          <span class="dash-chart-track" role="cell">
+            <span class="dash-chart-bar" style="width: ${(value / max) * 100}%${color ? `; background: ${color}` : ''}"></span>
+          </span>
+          <span class="dash-chart-value" role="cell">${value}</span>
+        </div>`).join('')}
+    </div>`;
+}
+
+function categoryRows(data) {
+  const counts = new Map();
+  data.skills.forEach(s => counts.set(s.category, (counts.get(s.category) || 0) + 1));
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([category, value]) => ({ label: category, value, color: categoryColor(category) }));
+}
+
+function wordRows(data) {
+  const top = Math.max(...data.skills.map(s => s.words));
+  const rows = [];
+  for (let low = 0; low <= top; low += WORD_BUCKET) {
+    const value = data.skills.filter(s => s.words >= low && s.words < low + WORD_BUCKET).length;
+    rows.push({ label: `${low}-${low + WORD_BUCKET - 1}`, value });
+  }
+  return rows;
+}
+
+function skillChip(skill) {
+  return `<a class="subcat-skill-chip" href="#/skill/${skill.name}">${skill.name}</a>`;
+}
+
+function renderChecks(data) {
+  return DASHBOARD_CHECKS.map(check => {
+    const failing = data.skills.filter(check.fails);
+    const passing = data.count - failing.length;
+    return `
+      <div class="dash-check">
+        <div class="dash-check-head">
+          <span class="path-progress">${meter(passing, data.count)} ${passing}/${data.count}</span>
+          <span>${check.label}</span>
+        </div>
+        ${failing.length
+          ? `<details class="dash-check-list"><summary>${failing.length} do not</summary>${failing.map(skillChip).join('')}</details>`
+          : '<p class="dash-check-ok">all do</p>'}
+      </div>`;
+  }).join('');
+}
+
+function cellValue(skill, key) {
+  if (key === 'triggers') return skill.triggers ? 'yes' : 'no';
+  if (key === 'bundles') return skill.bundles.join(' ') || '-';
+  return skill[key];
+}
+
+function sortedSkills(data) {
+  const { key, dir } = dashboardSort;
+  const column = DASHBOARD_COLUMNS.find(c => c.key === key);
+  return [...data.skills].sort((a, b) => {
+    const order = column.numeric
+      ? a[key] - b[key]
+      : String(cellValue(a, key)).localeCompare(String(cellValue(b, key)));
+    return order * dir || a.name.localeCompare(b.name);
+  });
+}
+
+function renderDashboardTable(data) {
+  const head = DASHBOARD_COLUMNS.map(({ key, label, numeric }) => {
+    const sorted = dashboardSort.key === key;
+    const sort = sorted ? (dashboardSort.dir > 0 ? 'ascending' : 'descending') : 'none';
+    const arrow = sorted ? (dashboardSort.dir > 0 ? ' ^' : ' v') : '';
+    return `
+      <th aria-sort="${sort}"${numeric ? ' class="dash-num"' : ''}>
+        <button class="dash-sort" data-key="${key}">${label}${arrow}</button>
+      </th>`;
+  }).join('');
+  const rows = sortedSkills(data).map(skill => `
+    <tr>
+      ${DASHBOARD_COLUMNS.map(({ key, numeric }) => {
+        const value = key === 'name'
+          ? `<a href="#/skill/${skill.name}">/${skill.name}</a>`
+          : escapeHtml(String(cellValue(skill, key)));
+        const flagged = DASHBOARD_CHECKS.some(check => check.key === key && check.fails(skill));
+        return `<td class="${numeric ? 'dash-num' : ''}${flagged ? ' dash-flag' : ''}">${value}</td>`;
+      }).join('')}
+    </tr>`).join('');
+  return `<table class="dash-table"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderDashboard(data) {
+  const words = data.skills.map(s => s.words);
+  const total = words.reduce((sum, n) => sum + n, 0);
+  return `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="section-title">wc -w skills/*/*/SKILL.md</span>
+    </div>
+    <h1 class="detail-title">dashboard</h1>
+    <p class="detail-desc">${data.count} skills in ${categoryRows(data).length} categories,
+      ${total} words of SKILL.md (median ${[...words].sort((a, b) => a - b)[Math.floor(words.length / 2)]}).</p>
+
+    <h2 class="compare-row-title">## coverage</h2>
+    <div class="dash-checks">${renderChecks(data)}</div>
+
+    <div class="dash-charts">
+      <div>
+        <h2 class="compare-row-title">## skills per category</h2>
+        ${barChart(categoryRows(data), 'Skills per category')}
+      </div>
+      <div>
+        <h2 class="compare-row-title">## SKILL.md length (words)</h2>
+        ${barChart(wordRows(data), 'Skills by SKILL.md word count')}
+      </div>
+    </div>
+
+    <h2 class="compare-row-title">## all skills</h2>
+    <div class="table-wrap dash-table-wrap">${renderDashboardTable(data)}</div>`;
+}
+
+function showDashboard() {
+  const container = document.getElementById('dashboardView');
+  document.title = 'Dashboard — Low-Level Dev Skills';
+  window.scrollTo(0, 0);
+  container.innerHTML = '<p class="detail-loading">wc -w skills/*/*/SKILL.md ...</p>';
+
+  loadDashboard().then(data => {
+    if (!container.classList.contains('view-active')) return;
+    container.innerHTML = renderDashboard(data);
+  }).catch(err => {
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">error: could not load the dashboard (${escapeHtml(err.message)})</p>`;
+  });
+}
+
+addRoute(/^#\/dashboard$/, {
+  id: 'dashboardView',
+  show: showDashboard,
+  hide: () => {
+    document.getElementById('dashboardView').innerHTML = '';
+  },
+});
+
+function setupDashboard() {
+  const container = document.getElementById('dashboardView');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.dash-sort');
+    if (!btn) return;
+    const { key } = btn.dataset;
+    const numeric = DASHBOARD_COLUMNS.find(c => c.key === key).numeric;
+    dashboardSort = dashboardSort.key === key
+      ? { key, dir: -dashboardSort.dir }
+      : { key, dir: numeric ? -1 : 1 };
+    loadDashboard().then(data => {
+      container.querySelector('.dash-table-wrap').innerHTML = renderDashboardTable(data);
+      container.querySelector(`.dash-sort[data-key="${key}"]`).focus();
+    });
+  });
+}
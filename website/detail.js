@@ -0,0 +1,127 @@
+// In-site skill detail view:
+//   #/skill/<name>           renders SKILL.md and references/*.md
+//   #/skill/<name>/<anchor>  same, scrolled to a heading or reference
+
+const contentCache = new Map();
+let currentSkill = null;
+
+function loadSkillContent(name) {
+  if (!contentCache.has(name)) {
+    const request = fetch(`content/${name}.json`).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    });
+    request.catch(() => contentCache.delete(name));
+    contentCache.set(name, request);
+  }
+  return contentCache.get(name);
+}
+
+function renderToc(doc) {
+  const items = doc.toc.map(h => `
+    <li class="toc-item toc-depth-${h.depth}">
+      <a href="#/skill/${doc.name}/${h.id}">${escapeHtml(h.title)}</a>
+    </li>`).join('');
+  return `<ul class="toc-list">${items}</ul>`;
+}
+
+function renderSkillDetail(skill, doc) {
+  const cmd = buildCmd([skill.name]);
+  const references = doc.references.map(ref => `
+    <section class="detail-reference" id="${ref.id}">
+      <div class="detail-reference-path">${doc.path}/references/${escapeHtml(ref.file)}</div>
+      ${ref.html}
+    </section>`).join('');
+
+  return `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="skill-category">${skill.category}</span>
+    </div>
+    <h1 class="detail-title">/${skill.name}</h1>
+    <p class="detail-desc">${escapeHtml(skill.desc)}</p>
+    <div class="tag-cmd-wrap detail-install">
+      <span class="prompt">$</span>
+      <code class="tag-cmd" data-install="${skill.name}">${cmd}</code>
+      <button class="tag-copy-btn" data-cmd="${cmd}" data-install="${skill.name}" title="Copy install command">[COPY]</button>
+    </div>
+    <div class="detail-layout">
+      <nav class="detail-toc" aria-label="Table of contents">
+        <div class="detail-toc-title">## contents</div>
+        ${renderToc(doc)}
+        <a class="detail-source" href="${skillPath(skill)}" target="_blank" rel="noopener">[view on GitHub]</a>
+        <a class="detail-source" href="skill/${skill.name}" title="Standalone page for sharing">[permalink]</a>
+      </nav>
+      <article class="markdown-body">
+        ${doc.html}
+        ${references}
+      </article>
+    </div>`;
+}
+
+function scrollToAnchor(anchor) {
+  const target = anchor && document.getElementById(anchor);
+  if (target) {
+    target.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+}
+
+function showSkill(name, anchor) {
+  const container = document.getElementById('skillDetail');
+  const skill = skills.find(s => s.name === name);
+
+  if (currentSkill === name) {
+    scrollToAnchor(anchor);
+    return;
+  }
+  currentSkill = name;
+
+  if (!skill) {
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">cat: skills/*/${escapeHtml(name)}/SKILL.md: No such file or directory</p>`;
+    return;
+  }
+
+  document.title = `/${skill.name} — Low-Level Dev Skills`;
+  container.innerHTML = `<p class="detail-loading">cat ${skill.category}/${skill.name}/SKILL.md ...</p>`;
+  window.scrollTo(0, 0);
+
+  loadSkillContent(name).then(doc => {
+    if (currentSkill !== name) return;
+    container.innerHTML = renderSkillDetail(skill, doc);
+    scrollToAnchor(anchor);
+  }).catch(err => {
+    if (currentSkill !== name) return;
+    currentSkill = null;
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">error: could not load ${escapeHtml(name)} (${escapeHtml(err.message)})</p>`;
+  });
+}
+
+addRoute(/^#\/skill\/([\w-]+)(?:\/(.+))?$/, {
+  id: 'skillDetail',
+  show: m => showSkill(m[1], m[2] ? decodeURIComponent(m[2]) : null),
+  hide: () => {
+    currentSkill = null;
+    document.getElementById('skillDetail').innerHTML = '';
+  },
+});
+
+function setupSkillDetail() {
+  const container = document.getElementById('skillDetail');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const codeBtn = e.target.closest('.code-copy-btn');
+    if (codeBtn) {
+      copyWithFeedback(codeBtn, codeBtn.closest('.code-block').querySelector('code').textContent);
+      return;
+    }
+    const cmdBtn = e.target.closest('.tag-copy-btn');
+    if (cmdBtn) copyWithFeedback(cmdBtn, cmdBtn.dataset.cmd);
+  });
+}
@@ -0,0 +1,298 @@
+// Related-skills graph (#/graph): a force-directed layout of the links in
+// each SKILL.md's "Related skills" section. Drag to pan, scroll to zoom,
+// click a node to open the skill.
+
+const GRAPH_SIZE = 1000;
+
+let graphLayout = null;
+let graphView = { x: 0, y: 0, k: 1 };
+const hiddenCategories = new Set();
+
+function graphEdges() {
+  const names = new Set(skills.map(s => s.name));
+  const seen = new Set();
+  const edges = [];
+  for (const skill of skills) {
+    for (const target of skill.related || []) {
+      const key = [skill.name, target].sort().join(' ');
+      if (!names.has(target) || seen.has(key)) continue;
+      seen.add(key);
+      edges.push({ source: skill.name, target });
+    }
+  }
+  return edges;
+}
+
+// Runs a fixed number of force-simulation steps: nodes repel each other,
+// edges act as springs, and each node is pulled towards its category's
+// slot on a circle so categories form visible clusters.
+function computeLayout(edges) {
+  const categories = [...new Set(skills.map(s => s.category))].sort();
+  const center = GRAPH_SIZE / 2;
+  const anchor = category => {
+    const angle = (categories.indexOf(category) / categories.length) * Math.PI * 2;
+    return { x: center + Math.cos(angle) * center * 0.6, y: center + Math.sin(angle) * center * 0.6 };
+  };
+
+  const nodes = skills.map((skill, i) => {
+    const a = anchor(skill.category);
+    return {
+      skill,
+      x: a.x + Math.cos(i) * 20,
+      y: a.y + Math.sin(i) * 20,
+      vx: 0,
+      vy: 0,
+      degree: 0,
+      neighbors: new Set(),
+    };
+  });
+  const byName = new Map(nodes.map(n => [n.skill.name, n]));
+  const links = edges.map(e => ({ source: byName.get(e.source), target: byName.get(e.target) }));
+  for (const { source, target } of links) {
+    source.degree++;
+    target.degree++;
+    source.neighbors.add(target.skill.name);
+    target.neighbors.add(source.skill.name);
+  }
+
+  for (let step = 0; step < 300; step++) {
+    const cooling = 1 - step / 300;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const dist2 = Math.max(dx * dx + dy * dy, 25);
+        const force = 150 / dist2;
+        a.vx += dx * force;
+        a.vy += dy * force;
+        b.vx -= dx * force;
+        b.vy -= dy * force;
+      }
+    }
+    for (const { source, target } of links) {
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+      const force = (dist - 60) * 0.01;
+      source.vx += (dx / dist) * force;
+      source.vy += (dy / dist) * force;
+      target.vx -= (dx / dist) * force;
+      target.vy -= (dy / dist) * force;
+    }
+    for (const node of nodes) {
+      const a = anchor(node.skill.category);
+      node.vx += (a.x - node.x) * 0.02;
+      node.vy += (a.y - node.y) * 0.02;
+      node.x += Math.max(-20, Math.min(20, node.vx)) * cooling;
+      node.y += Math.max(-20, Math.min(20, node.vy)) * cooling;
+      node.vx *= 0.5;
+      node.vy *= 0.5;
+    }
+  }
+  fitToCanvas(nodes);
+  return { nodes, links, categories };
+}
+
+function fitToCanvas(nodes, margin = 60) {
+  const xs = nodes.map(n => n.x);
+  const ys = nodes.map(n => n.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scale = (GRAPH_SIZE - margin * 2) / Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+  for (const node of nodes) {
+    node.x = margin + (node.x - minX) * scale;
+    node.y = margin + (node.y - minY) * scale;
+  }
+}
+
+function nodeRadius(node) {
+  return 4 + Math.sqrt(node.degree) * 1.5;
+}
+
+function renderGraphSvg(layout) {
+  const edges = layout.links.map(({ source, target }) => `
+    <line class="graph-edge" data-source="${source.skill.name}" data-target="${target.skill.name}"
+          x1="${source.x.toFixed(1)}" y1="${source.y.toFixed(1)}" x2="${target.x.toFixed(1)}" y2="${target.y.toFixed(1)}"></line>`);
+  const nodes = layout.nodes.map(node => `
+    <g class="graph-node" data-name="${node.skill.name}" data-category="${node.skill.category}"
+       transform="translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})"
+       tabindex="0" role="link" aria-label="${node.skill.name} (${node.skill.category}, ${node.degree} links)">
+      <circle r="${nodeRadius(node).toFixed(1)}" fill="${categoryColor(node.skill.category)}"></circle>
+      <text x="${(nodeRadius(node) + 3).toFixed(1)}" y="4">${node.skill.name}</text>
+    </g>`);
+  return `
+    <svg class="graph-svg" id="graphSvg" viewBox="0 0 ${GRAPH_SIZE} ${GRAPH_SIZE}" role="img"
+         aria-label="Graph of related skills">
+      <g class="graph-viewport" id="graphViewport">
+        <g class="graph-edges">${edges.join('')}</g>
+        <g class="graph-nodes">${nodes.join('')}</g>
+      </g>
+    </svg>`;
+}
+
+function renderGraphFilters(layout) {
+  return layout.categories.map(cat => {
+    const count = skills.filter(s => s.category === cat).length;
+    const label = categoryLabels[cat] || cat;
+    const pressed = !hiddenCategories.has(cat);
+    return `<button class="tab graph-filter${pressed ? ' active' : ''}" data-category="${cat}" aria-pressed="${pressed}">
+      <span class="graph-swatch" style="background:${categoryColor(cat)}"></span>${label} (${count})</button>`;
+  }).join('');
+}
+
+function applyGraphView() {
+  const viewport = document.getElementById('graphViewport');
+  if (viewport) viewport.setAttribute('transform', `translate(${graphView.x} ${graphView.y}) scale(${graphView.k})`);
+}
+
+function zoomGraph(factor, cx = GRAPH_SIZE / 2, cy = GRAPH_SIZE / 2) {
+  const k = Math.min(8, Math.max(0.3, graphView.k * factor));
+  graphView.x = cx - ((cx - graphView.x) * k) / graphView.k;
+  graphView.y = cy - ((cy - graphView.y) * k) / graphView.k;
+  graphView.k = k;
+  applyGraphView();
+}
+
+function applyGraphFilters() {
+  document.querySelectorAll('#graphSvg .graph-node').forEach(node => {
+    node.classList.toggle('filtered', hiddenCategories.has(node.dataset.category));
+  });
+  const category = name => skills.find(s => s.name === name).category;
+  document.querySelectorAll('#graphSvg .graph-edge').forEach(edge => {
+    const hidden = hiddenCategories.has(category(edge.dataset.source)) ||
+      hiddenCategories.has(category(edge.dataset.target));
+    edge.classList.toggle('filtered', hidden);
+  });
+}
+
+function focusGraphNode(name) {
+  const svg = document.getElementById('graphSvg');
+  const node = name && graphLayout.nodes.find(n => n.skill.name === name);
+  svg.classList.toggle('has-focus', Boolean(node));
+  svg.querySelectorAll('.graph-node').forEach(el => {
+    el.classList.toggle('focused', Boolean(node) && (el.dataset.name === name || node.neighbors.has(el.dataset.name)));
+  });
+  svg.querySelectorAll('.graph-edge').forEach(el => {
+    el.classList.toggle('focused', Boolean(node) && (el.dataset.source === name || el.dataset.target === name));
+  });
+}
+
+// Converts a pointer position to SVG user units.
+function svgPoint(svg, e) {
+  const pt = svg.createSVGPoint();
+  pt.x = e.clientX;
+  pt.y = e.clientY;
+  return pt.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+function wireGraph(container) {
+  const svg = document.getElementById('graphSvg');
+  let drag = null;
+
+  svg.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const p = svgPoint(svg, e);
+    zoomGraph(e.deltaY < 0 ? 1.15 : 1 / 1.15, p.x, p.y);
+  }, { passive: false });
+
+  svg.addEventListener('pointerdown', (e) => {
+    const p = svgPoint(svg, e);
+    drag = { x: p.x, y: p.y, startX: graphView.x, startY: graphView.y, moved: false, node: e.target.closest('.graph-node') };
+    svg.setPointerCapture(e.pointerId);
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!drag) {
+      const node = e.target.closest('.graph-node');
+      focusGraphNode(node ? node.dataset.name : null);
+      return;
+    }
+    const p = svgPoint(svg, e);
+    if (Math.abs(p.x - drag.x) + Math.abs(p.y - drag.y) > 4) drag.moved = true;
+    graphView.x = drag.startX + p.x - drag.x;
+    graphView.y = drag.startY + p.y - drag.y;
+    applyGraphView();
+  });
+
+  svg.addEventListener('pointerup', (e) => {
+    const { moved, node } = drag || {};
+    drag = null;
+    svg.releasePointerCapture(e.pointerId);
+    if (node && !moved) location.hash = `#/skill/${node.dataset.name}`;
+  });
+
+  svg.addEventListener('keydown', (e) => {
+    const node = e.target.closest('.graph-node');
+    if (node && e.key === 'Enter') location.hash = `#/skill/${node.dataset.name}`;
+  });
+
+  svg.addEventListener('focusin', (e) => {
+    const node = e.target.closest('.graph-node');
+    focusGraphNode(node ? node.dataset.name : null);
+  });
+
+  container.querySelector('.graph-filters').addEventListener('click', (e) => {
+    const btn = e.target.closest('.graph-filter');
+    if (!btn) return;
+    const cat = btn.dataset.category;
+    if (hiddenCategories.has(cat)) {
+      hiddenCategories.delete(cat);
+    } else {
+      hiddenCategories.add(cat);
+    }
+    btn.classList.toggle('active', !hiddenCategories.has(cat));
+    btn.setAttribute('aria-pressed', String(!hiddenCategories.has(cat)));
+    applyGraphFilters();
+  });
+
+  container.querySelector('.graph-controls').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.action === 'zoom-in') zoomGraph(1.25);
+    if (btn.dataset.action === 'zoom-out') zoomGraph(0.8);
+    if (btn.dataset.action === 'reset') {
+      graphView = { x: 0, y: 0, k: 1 };
+      applyGraphView();
+    }
+    if (btn.dataset.action === 'all') {
+      hiddenCategories.clear();
+      container.querySelector('.graph-filters').innerHTML = renderGraphFilters(graphLayout);
+      applyGraphFilters();
+    }
+  });
+}
+
+function showGraph() {
+  const container = document.getElementById('graphView');
+  document.title = 'Related skills graph — Low-Level Dev Skills';
+  window.scrollTo(0, 0);
+  if (container.childElementCount) return;
+
+  if (!graphLayout) graphLayout = computeLayout(graphEdges());
+  const isolated = graphLayout.nodes.filter(n => !n.degree).length;
+
+  container.innerHTML = `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="section-title">graph skills/ --related</span>
+    </div>
+    <div class="category-tabs graph-filters">${renderGraphFilters(graphLayout)}</div>
+    <div class="graph-canvas">
+      ${renderGraphSvg(graphLayout)}
+      <div class="graph-controls">
+        <button class="tag-copy-btn" data-action="zoom-in" aria-label="Zoom in">[+]</button>
+        <button class="tag-copy-btn" data-action="zoom-out" aria-label="Zoom out">[-]</button>
+        <button class="tag-copy-btn" data-action="reset">[RESET]</button>
+        <button class="tag-copy-btn" data-action="all">[ALL]</button>
+      </div>
+    </div>
+    <p class="graph-stats">${graphLayout.nodes.length} skills, ${graphLayout.links.length} links, ${isolated} without links</p>`;
+
+  wireGraph(container);
+  applyGraphView();
+  applyGraphFilters();
+}
+
+addRoute(/^#\/graph$/, { id: 'graphView', show: showGraph });
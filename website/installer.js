@@ -0,0 +1,231 @@
+// Installer selector: how the site's install commands are written. One
+// selector, in the install section, sets the installer and agent for
+// every command on the page; there is no per-command override. Every
+// command comes from buildCmd(), which asks installCommand() here, and
+// each element showing or copying one carries data-install (the skill
+// names, or --all) so a change of installer or agent rewrites them in
+// place. The choice is kept in localStorage.
+
+const REPO_SLUG = 'mohitmishra786/low-level-dev-skills';
+const REPO_GIT_URL = `https://github.com/${REPO_SLUG}.git`;
+const CLONE_DIR = 'low-level-dev-skills';
+const INSTALLER_KEY = 'low-level-dev-skills:installer';
+
+const INSTALL_METHODS = [
+  { id: 'npx', label: 'npx skills', hint: 'needs Node.js' },
+  { id: 'git', label: 'git sparse-checkout', hint: 'needs git; fetches only the chosen skills' },
+  { id: 'cp', label: 'cp', hint: 'run from a clone of the repository' },
+  { id: 'rsync', label: 'rsync', hint: 'run from a clone of the repository' },
+];
+
+// Agents `npx skills add --agent` can target, by its agent ids. The first
+// entry lets npx install to every agent it detects. `dir` is the
+// user-level skills directory where the agent's own documentation gives
+// one (cited in `docs`); for the rest the installers that copy files
+// write to $SKILLS_DIR, which the user points at the agent's directory.
+const AGENT_TARGETS = [
+  { id: '', label: 'every detected agent' },
+  {
+    id: 'claude-code',
+    label: 'Claude Code',
+    dir: '~/.claude/skills',
+    docs: 'https://docs.claude.com/en/docs/claude-code/skills',
+  },
+  { id: 'cursor', label: 'Cursor' },
+  { id: 'codex', label: 'Codex' },
+  { id: 'github-copilot', label: 'GitHub Copilot / VSCode' },
+  { id: 'cline', label: 'Cline' },
+  { id: 'windsurf', label: 'Windsurf' },
+  { id: 'gemini-cli', label: 'Gemini CLI' },
+  { id: 'kilo', label: 'Kilo' },
+  { id: 'amp', label: 'Amp' },
+  { id: 'antigravity', label: 'Antigravity' },
+  { id: 'augment', label: 'Augment' },
+  { id: 'droid', label: 'Droid' },
+  { id: 'goose', label: 'Goose' },
+  { id: 'kiro-cli', label: 'Kiro CLI' },
+  { id: 'opencode', label: 'OpenCode' },
+  { id: 'roo', label: 'Roo' },
+  { id: 'trae', label: 'Trae' },
+];
+const DEFAULT_AGENT = 'claude-code';
+
+const installer = loadInstaller();
+
+function loadInstaller() {
+  try {
+    const data = JSON.parse(localStorage.getItem(INSTALLER_KEY));
+    const method = data && INSTALL_METHODS.some(m => m.id === data.method) ? data.method : 'npx';
+    const agent = data && AGENT_TARGETS.some(a => a.id === data.agent) ? data.agent : '';
+    return { method, agent };
+  } catch (err) {
+    return { method: 'npx', agent: '' };
+  }
+}
+
+function saveInstaller() {
+  try {
+    localStorage.setItem(INSTALLER_KEY, JSON.stringify(installer));
+  } catch (err) {
+    // Storage is unavailable: the choice lasts for this visit only.
+  }
+}
+
+// Only npx can target every detected agent; the other installers copy
+// into one directory.
+function installTarget() {
+  const id = installer.agent || (installer.method === 'npx' ? '' : DEFAULT_AGENT);
+  return AGENT_TARGETS.find(a => a.id === id);
+}
+
+// Where the copying installers put skills for `target`.
+function targetDir(target) {
+  return target.dir || '"$SKILLS_DIR"';
+}
+
+function skillDirs(names) {
+  if (!names) return ['skills'];
+  return names
+    .map(name => skills.find(s => s.name === name))
+    .filter(Boolean)
+    .map(skill => `skills/${catDirMap[skill.category]}/${skill.name}`);
+}
+
+// `names` is a list of skill names, or null for every skill.
+function installCommand(names = null) {
+  const target = installTarget();
+  if (installer.method === 'npx') {
+    if (!target.id) return names ? `${BASE_CMD} ${names.join(' ')}` : ALL_CMD;
+    return `${names ? `${BASE_CMD} ${names.join(' ')}` : ALL_CMD} --agent ${target.id} --global`;
+  }
+
+  const dirs = skillDirs(names);
+  const dest = targetDir(target);
+  // Category directories hold nothing but skills, so skills/*/* is every skill.
+  const sources = names ? dirs : ['skills/*/*'];
+  if (installer.method === 'git') {
+    return [
+      `git clone --depth 1 --filter=blob:none --sparse ${REPO_GIT_URL}`,
+      `git -C ${CLONE_DIR} sparse-checkout set ${dirs.join(' ')}`,
+      `mkdir -p ${dest}`,
+      `cp -R ${sources.map(dir => `${CLONE_DIR}/${dir}`).join(' ')} ${dest}/`,
+    ].join(' && ');
+  }
+  const copy = installer.method === 'rsync' ? 'rsync -a' : 'cp -R';
+  return `mkdir -p ${dest} && ${copy} ${sources.join(' ')} ${dest}/`;
+}
+
+// A standalone POSIX shell script that fetches just `names` (or every
+// skill) with a sparse clone into a temporary directory and copies them
+// into the chosen agent's directory, replacing older copies.
+function installScript(names = null) {
+  const target = installer.agent ? installTarget() : AGENT_TARGETS.find(a => a.id === DEFAULT_AGENT);
+  const dirs = skillDirs(names);
+  const count = names ? dirs.length : skills.length;
+  return `#!/bin/sh
+# Installs ${count} skill${count === 1 ? '' : 's'} from ${REPO_SLUG} for ${target.label}.
+# ${target.dir ? 'Set SKILLS_DIR to install somewhere else' : `Set SKILLS_DIR to ${target.label}'s skills directory`}. Needs git.
+set -eu
+
+DEST="\${SKILLS_DIR:${target.dir ? `-${target.dir.replace(/^~/, '$HOME')}` : `?set SKILLS_DIR to ${target.label}'s skills directory`}}"
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+git clone --quiet --depth 1 --filter=blob:none --sparse ${REPO_GIT_URL} "$TMP/repo"
+git -C "$TMP/repo" sparse-checkout set \\
+${dirs.map(dir => `  ${dir}`).join(' \\\n')}
+
+mkdir -p "$DEST"
+for dir in ${names ? dirs.map(dir => `"$TMP/repo/${dir}"`).join(' \\\n  ') : '"$TMP"/repo/skills/*/*'}; do
+  rm -rf "$DEST/$(basename "$dir")"
+  cp -R "$dir" "$DEST/"
+done
+echo "Installed ${count} skill${count === 1 ? '' : 's'} into $DEST"
+`;
+}
+
+function downloadInstallScript(names = null) {
+  downloadBlob(new Blob([installScript(names)], { type: 'text/x-sh' }), 'install-low-level-dev-skills.sh');
+}
+
+// The skills the install section's command and script cover: the bundle
+// if it has any, else what the grid shows for the current category or
+// search, else (or when nothing matches) every skill, as null.
+function installSelection() {
+  if (cart.size) return [...cart];
+  if (activeCategory === 'all' && !searchQuery.trim()) return null;
+  const names = currentResults().map(r => r.skill.name);
+  return names.length ? names : null;
+}
+
+// Points the install section's command at installSelection().
+function refreshInstallPreview() {
+  const cmd = document.getElementById('installCmd');
+  if (!cmd) return;
+  const names = installSelection();
+  cmd.dataset.install = names ? names.join(' ') : '--all';
+  cmd.textContent = installCommand(names);
+}
+
+// Rewrites every rendered command for the current installer.
+function refreshInstallCommands() {
+  document.querySelectorAll('[data-install]').forEach(el => {
+    const names = el.dataset.install === '--all' ? null : el.dataset.install.split(' ');
+    const cmd = installCommand(names);
+    if (el.matches('button')) {
+      el.dataset.cmd = cmd;
+    } else {
+      el.textContent = cmd;
+    }
+  });
+}
+
+function renderInstaller() {
+  const container = document.getElementById('installer');
+  if (!container) return;
+  const method = INSTALL_METHODS.find(m => m.id === installer.method);
+  const target = installTarget();
+
+  container.innerHTML = `
+    <label class="installer-field">
+      <span class="prompt">$</span> install with
+      <select class="installer-select" id="installMethod">
+        ${INSTALL_METHODS.map(m => `
+          <option value="${m.id}"${m.id === method.id ? ' selected' : ''}>${m.label}</option>`).join('')}
+      </select>
+    </label>
+    <label class="installer-field">
+      for
+      <select class="installer-select" id="installAgent">
+        ${AGENT_TARGETS.map(a => `
+          <option value="${a.id}"${a.id === target.id ? ' selected' : ''}${!a.id && method.id !== 'npx' ? ' disabled' : ''}>
+            ${a.label}
+          </option>`).join('')}
+      </select>
+    </label>
+    <span class="installer-target">${target.dir ? `&rarr; ${target.dir}` : ''}${!target.dir && method.id !== 'npx'
+      ? `&rarr; $SKILLS_DIR (set it to ${target.label}'s skills directory)` : ''}</span>
+    <button class="tag-copy-btn" data-action="script" title="Download a shell script that installs the skills above">[DOWNLOAD .sh]</button>
+    <span class="installer-hint">${method.hint}</span>`;
+}
+
+function setupInstaller() {
+  const container = document.getElementById('installer');
+  if (!container) return;
+  renderInstaller();
+  refreshInstallPreview();
+  refreshInstallCommands();
+
+  container.addEventListener('change', (e) => {
+    if (e.target.id === 'installMethod') installer.method = e.target.value;
+    if (e.target.id === 'installAgent') installer.agent = e.target.value;
+    saveInstaller();
+    renderInstaller();
+    refreshInstallCommands();
+    document.getElementById(e.target.id).focus();
+  });
+
+  container.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="script"]')) downloadInstallScript(installSelection());
+  });
+}
@@ -0,0 +1,368 @@
+// Keyboard control for the home page:
+//   Ctrl+K or /   command palette: jump to a skill, category, bundle or
+//                 path, or copy its install command (Shift+Enter)
+//   j / k         move between the cards in the skills grid; Enter opens
+//   ?             shortcuts overlay
+// Both overlays are modal dialogs: focus moves into them, stays there
+// while they are open and goes back where it was when they close.
+
+const PALETTE_LIMIT = 50;
+
+const SHORTCUTS = [
+  { keys: ['Ctrl+K', '/'], desc: 'open the command palette' },
+  { keys: ['↑', '↓'], desc: 'move through palette results' },
+  { keys: ['Enter'], desc: 'go to the selected result' },
+  { keys: ['Shift+Enter'], desc: 'copy its install command' },
+  { keys: ['j', 'k'], desc: 'next / previous skill card' },
+  { keys: ['Enter'], desc: 'open the focused skill card' },
+  { keys: ['?'], desc: 'show these shortcuts' },
+  { keys: ['Esc'], desc: 'close the palette or this overlay' },
+];
+
+let paletteItems = [];
+let paletteResults = [];
+let paletteIndex = 0;
+let openDialog = null;
+let dialogReturnFocus = null;
+
+function isTyping(target) {
+  return Boolean(target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+// Runs `then` once the home page is showing, leaving any full-page view.
+function goHome(then) {
+  if (!document.body.classList.contains('view-open')) {
+    then();
+    return;
+  }
+  window.addEventListener('hashchange', then, { once: true });
+  location.hash = '#/';
+}
+
+// Moves focus to a full-page view once the router has shown it, so screen
+// readers start reading there rather than at the element that opened it.
+function goToView(hash) {
+  const focusView = () => {
+    const section = document.querySelector('main > section.view-active');
+    if (!section) return;
+    section.setAttribute('tabindex', '-1');
+    section.focus();
+  };
+  if (location.hash === hash) {
+    focusView();
+    return;
+  }
+  window.addEventListener('hashchange', focusView, { once: true });
+  location.hash = hash;
+}
+
+function showCategory(category) {
+  goHome(() => {
+    const tab = document.querySelector(`#categoryTabs .tab[data-category="${category}"]`);
+    if (!tab) return;
+    tab.click();
+    tab.scrollIntoView({ block: 'start' });
+    tab.focus();
+  });
+}
+
+// Expands a tag bundle's card and focuses the copy button of the whole
+// bundle or of one of its subcategories.
+function showBundle(tag, subcategory) {
+  goHome(() => {
+    const card = document.querySelector(`#tagGrid .tag-card[data-tag="${tag}"]`);
+    if (!card) return;
+    const toggle = card.querySelector('.tag-toggle-btn');
+    if (subcategory !== undefined && toggle.getAttribute('aria-expanded') !== 'true') toggle.click();
+    const target = subcategory === undefined
+      ? card.querySelector('.tag-cmd-wrap .tag-copy-btn')
+      : card.querySelectorAll('.subcat-row')[subcategory].querySelector('.subcat-copy-btn');
+    target.scrollIntoView({ block: 'center' });
+    target.focus();
+  });
+}
+
+// Every palette entry: `run` is Enter, `cmd` (if any) what Shift+Enter
+// copies, `text` what the query is matched against.
+function buildPaletteItems() {
+  const items = skills.map(skill => ({
+    kind: 'skill',
+    label: `/${skill.name}`,
+    detail: skill.desc,
+    text: `${skill.name} ${skill.category}`,
+    cmd: buildCmd([skill.name]),
+    run: () => goToView(`#/skill/${skill.name}`),
+  }));
+
+  const categories = [...new Set(skills.map(s => s.category))].sort();
+  for (const category of categories) {
+    const names = skills.filter(s => s.category === category).map(s => s.name);
+    items.push({
+      kind: 'category',
+      label: category,
+      detail: `${names.length} skills`,
+      text: `${category} ${categoryLabels[category] || ''}`,
+      cmd: buildCmd(names),
+      run: () => showCategory(category),
+    });
+  }
+
+  for (const entry of tagInstalls) {
+    items.push({
+      kind: 'bundle',
+      label: entry.label,
+      detail: entry.desc,
+      text: `${entry.tag} ${entry.label}`,
+      cmd: buildCmd(allSkillsFor(entry)),
+      run: () => showBundle(entry.tag),
+    });
+    entry.subcategories.forEach((sub, i) => items.push({
+      kind: 'bundle',
+      label: `${entry.label} › ${sub.label}`,
+      detail: sub.skills.join(' '),
+      text: `${entry.tag} ${entry.label} ${sub.label}`,
+      cmd: buildCmd(sub.skills),
+      run: () => showBundle(entry.tag, i),
+    }));
+  }
+
+  if (typeof learningPaths !== 'undefined') {
+    for (const path of learningPaths) {
+      items.push({
+        kind: 'path',
+        label: path.title,
+        detail: path.description,
+        text: `${path.id} ${path.title}`,
+        cmd: buildCmd(path.steps.map(s => s.skill)),
+        run: () => goToView(`#/path/${path.id}`),
+      });
+    }
+  }
+
+  items.push(
+    { kind: 'go', label: 'home', detail: 'the skill list', text: 'home', run: () => goHome(() => window.scrollTo(0, 0)) },
+    { kind: 'go', label: 'graph', detail: 'related-skills graph', text: 'graph related', run: () => goToView('#/graph') },
+    { kind: 'go', label: 'cookbook', detail: 'every code snippet', text: 'cookbook snippets code', run: () => goToView('#/cookbook') },
+    { kind: 'go', label: 'dashboard', detail: 'coverage and quality', text: 'dashboard coverage quality', run: () => goToView('#/dashboard') },
+    { kind: 'copy', label: 'install --all', detail: 'every skill', text: 'install all', cmd: installCommand() },
+  );
+  if (cart.size) {
+    const names = [...cart];
+    items.push({ kind: 'copy', label: 'install bundle', detail: names.join(' '), text: 'install cart', cmd: buildCmd(names) });
+  }
+  return items;
+}
+
+// Every query word must occur in the entry; names that start with the
+// query come first, then names containing it, then other matches.
+function filterPalette(query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return paletteItems.slice(0, PALETTE_LIMIT);
+
+  const phrase = words.join(' ');
+  return paletteItems
+    .map(item => {
+      const label = item.label.toLowerCase().replace(/^\//, '');
+      const haystack = `${label} ${item.kind} ${item.text.toLowerCase()}`;
+      if (!words.every(word => haystack.includes(word))) return null;
+      const rank = label.startsWith(phrase) ? 0 : label.includes(phrase) ? 1 : 2;
+      return { item, rank };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.item.label.length - b.item.label.length)
+    .slice(0, PALETTE_LIMIT)
+    .map(r => r.item);
+}
+
+function renderPalette() {
+  const input = document.getElementById('paletteInput');
+  const list = document.getElementById('paletteList');
+  paletteResults = filterPalette(input.value);
+  paletteIndex = Math.min(paletteIndex, Math.max(paletteResults.length - 1, 0));
+
+  list.innerHTML = paletteResults.map((item, i) => `
+    <li class="palette-item" id="palette-opt-${i}" role="option" aria-selected="${i === paletteIndex}" data-index="${i}">
+      <span class="palette-kind">${item.kind}</span>
+      <span class="palette-label">${escapeHtml(item.label)}</span>
+      <span class="palette-detail">${escapeHtml(item.detail)}</span>
+    </li>`).join('') || `<li class="palette-empty" role="presentation">no match for '${escapeHtml(input.value)}'</li>`;
+
+  if (paletteResults.length) {
+    input.setAttribute('aria-activedescendant', `palette-opt-${paletteIndex}`);
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+  document.getElementById('paletteStatus').textContent =
+    `${paletteResults.length} result${paletteResults.length === 1 ? '' : 's'}`;
+}
+
+function selectPaletteItem(index) {
+  if (!paletteResults.length) return;
+  paletteIndex = (index + paletteResults.length) % paletteResults.length;
+  document.querySelectorAll('#paletteList .palette-item').forEach((el, i) => {
+    el.setAttribute('aria-selected', String(i === paletteIndex));
+  });
+  document.getElementById('paletteInput').setAttribute('aria-activedescendant', `palette-opt-${paletteIndex}`);
+  document.getElementById(`palette-opt-${paletteIndex}`).scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteItem(item, copy) {
+  if (!item) return;
+  if (copy || !item.run) {
+    if (!item.cmd) return;
+    navigator.clipboard.writeText(item.cmd).then(() => {
+      document.getElementById('paletteStatus').textContent = `copied: ${item.cmd}`;
+    });
+    return;
+  }
+  closeDialog(false);
+  item.run();
+}
+
+function showDialog(dialog, focusTarget) {
+  if (openDialog) closeDialog(true);
+  dialogReturnFocus = document.activeElement;
+  openDialog = dialog;
+  dialog.removeAttribute('hidden');
+  document.body.classList.add('dialog-open');
+  focusTarget.focus();
+}
+
+// `restoreFocus` is false when the dialog closes because its action moved
+// focus somewhere else.
+function closeDialog(restoreFocus = true) {
+  if (!openDialog) return;
+  openDialog.setAttribute('hidden', '');
+  openDialog = null;
+  document.body.classList.remove('dialog-open');
+  if (restoreFocus && dialogReturnFocus && document.contains(dialogReturnFocus)) dialogReturnFocus.focus();
+  dialogReturnFocus = null;
+}
+
+function openPalette() {
+  const input = document.getElementById('paletteInput');
+  paletteItems = buildPaletteItems();
+  paletteIndex = 0;
+  input.value = '';
+  renderPalette();
+  showDialog(document.getElementById('palette'), input);
+}
+
+function openShortcuts() {
+  showDialog(document.getElementById('shortcuts'), document.getElementById('shortcutsClose'));
+}
+
+function renderShortcuts() {
+  const list = document.getElementById('shortcutsList');
+  if (!list) return;
+  list.innerHTML = SHORTCUTS.map(({ keys, desc }) => `
+    <div class="shortcut">
+      <dt>${keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+      <dd>${desc}</dd>
+    </div>`).join('');
+}
+
+// j/k start from the focused card, else the one picked with the search
+// box's arrow keys, and move focus to the card's link.
+function moveCard(step) {
+  const cards = [...document.querySelectorAll('#skillsGrid .skill-card')];
+  if (!cards.length) return;
+  const focused = cards.findIndex(card => card.contains(document.activeElement));
+  const from = focused >= 0 ? focused : activeResult;
+  const next = from < 0 ? (step > 0 ? 0 : cards.length - 1) : Math.min(Math.max(from + step, 0), cards.length - 1);
+
+  activeResult = next;
+  cards.forEach((card, i) => card.classList.toggle('selected', i === next));
+  cards[next].scrollIntoView({ block: 'nearest' });
+  cards[next].querySelector('.skill-name').focus();
+}
+
+// Tab would otherwise walk out of a modal dialog into the page behind it.
+function trapFocus(e) {
+  const focusable = [...openDialog.querySelectorAll('input, button, [href]')].filter(el => !el.closest('[hidden]'));
+  if (!focusable.length) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function handleShortcut(e) {
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    if (openDialog && openDialog.id === 'palette') {
+      closeDialog();
+    } else {
+      openPalette();
+    }
+    return;
+  }
+
+  if (openDialog) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeDialog();
+    } else if (e.key === 'Tab') {
+      trapFocus(e);
+    }
+    return;
+  }
+
+  if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+  if (e.key === '/') {
+    e.preventDefault();
+    openPalette();
+  } else if (e.key === '?') {
+    e.preventDefault();
+    openShortcuts();
+  } else if ((e.key === 'j' || e.key === 'k') && !document.body.classList.contains('view-open')) {
+    e.preventDefault();
+    moveCard(e.key === 'j' ? 1 : -1);
+  }
+}
+
+function setupKeyboard() {
+  const palette = document.getElementById('palette');
+  const shortcuts = document.getElementById('shortcuts');
+  if (!palette || !shortcuts) return;
+  const input = document.getElementById('paletteInput');
+  const list = document.getElementById('paletteList');
+  renderShortcuts();
+
+  document.addEventListener('keydown', handleShortcut);
+
+  input.addEventListener('input', () => {
+    paletteIndex = 0;
+    renderPalette();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      selectPaletteItem(paletteIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      selectPaletteItem(paletteIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runPaletteItem(paletteResults[paletteIndex], e.shiftKey);
+    }
+  });
+
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('.palette-item');
+    if (option) runPaletteItem(paletteResults[Number(option.dataset.index)], e.shiftKey);
+  });
+
+  // A click on the backdrop, outside the box, closes either overlay.
+  [palette, shortcuts].forEach(dialog => dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog();
+  }));
+  document.getElementById('shortcutsClose').addEventListener('click', () => closeDialog());
+  document.getElementById('paletteBtn').addEventListener('click', openPalette);
+}
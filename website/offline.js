@@ -0,0 +1,24 @@
+// Offline support: registers the service worker (sw.js) and shows an
+// [OFFLINE] marker in the nav while the browser has no network.
+
+function registerServiceWorker(url) {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register(url).catch(() => {
+    // No service worker (private mode, unsupported host): the site still works online.
+  });
+}
+
+function updateOfflineStatus() {
+  const offline = !navigator.onLine;
+  document.body.classList.toggle('offline', offline);
+  const status = document.getElementById('netStatus');
+  if (status) status.hidden = !offline;
+}
+
+// `swUrl` is relative to the page; the worker's scope is always the site root.
+function setupOffline(swUrl = 'sw.js') {
+  registerServiceWorker(swUrl);
+  updateOfflineStatus();
+  window.addEventListener('online', updateOfflineStatus);
+  window.addEventListener('offline', updateOfflineStatus);
+}
@@ -0,0 +1,23 @@
+// Copy buttons, offline support and the preferences panel on the static
+// skill and category pages, which load none of the home page's other
+// scripts.
+
+function copyButtonText(btn) {
+  if (btn.dataset.cmd) return btn.dataset.cmd;
+  return btn.closest('.code-block').querySelector('code').textContent;
+}
+
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest('.tag-copy-btn, .code-copy-btn');
+  if (!btn) return;
+  navigator.clipboard.writeText(copyButtonText(btn)).then(() => {
+    const orig = btn.textContent;
+    btn.textContent = 'COPIED!';
+    setTimeout(() => { btn.textContent = orig; }, 2000);
+  });
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupOffline('../sw.js');
+  setupPrefs();
+});
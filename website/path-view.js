@@ -0,0 +1,207 @@
+// Learning paths (#/path/<id>): ordered skills from website/paths/*.json,
+// generated into learningPaths, with prerequisites taken from related-
+// skills links. Completed skills are kept in localStorage and can be
+// exported to and imported from a JSON file.
+
+const PROGRESS_KEY = 'low-level-dev-skills:progress';
+const completedSkills = loadProgress();
+let currentPath = null;
+
+function loadProgress() {
+  try {
+    const data = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+    return new Set(data && Array.isArray(data.completed) ? data.completed : []);
+  } catch (err) {
+    return new Set();
+  }
+}
+
+function progressData() {
+  return { version: 1, completed: [...completedSkills].sort() };
+}
+
+function saveProgress() {
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progressData()));
+  } catch (err) {
+    // Storage is unavailable (private mode, quota): progress lasts for this visit only.
+  }
+}
+
+function progressBar(steps) {
+  const done = steps.filter(s => completedSkills.has(s.skill)).length;
+  const filled = Math.round((done / steps.length) * 10);
+  return `[${'#'.repeat(filled)}${'-'.repeat(10 - filled)}] ${done}/${steps.length}`;
+}
+
+// The first step not yet done whose prerequisites all are.
+function nextStep(path) {
+  return path.steps.find(step =>
+    !completedSkills.has(step.skill) && step.prerequisites.every(name => completedSkills.has(name)));
+}
+
+function pathStages(path) {
+  return [...new Set(path.steps.map(s => s.stage))];
+}
+
+function renderPathCards() {
+  const grid = document.getElementById('pathsGrid');
+  if (!grid) return;
+
+  grid.innerHTML = learningPaths.map(path => `
+    <a class="path-card" href="#/path/${path.id}">
+      <span class="tag-label">${escapeHtml(path.title)}</span>
+      <span class="tag-desc">${escapeHtml(path.description)}</span>
+      <span class="path-stages">${pathStages(path).map(escapeHtml).join(' &rarr; ')}</span>
+      <span class="path-progress">${progressBar(path.steps)}</span>
+    </a>`).join('');
+}
+
+function renderPathStep(step, index, next) {
+  const skill = skills.find(s => s.name === step.skill);
+  const done = completedSkills.has(step.skill);
+  const needs = step.prerequisites.map(name => `
+    <a class="path-prereq${completedSkills.has(name) ? ' done' : ''}" href="#/skill/${name}">/${name}</a>`).join('');
+  return `
+    <li class="path-step${done ? ' done' : ''}${step === next ? ' next' : ''}">
+      <button class="path-check" data-skill="${step.skill}" aria-pressed="${done}"
+              aria-label="Mark ${step.skill} as ${done ? 'not done' : 'done'}">${done ? '[x]' : '[ ]'}</button>
+      <span class="step-number">${String(index + 1).padStart(2, '0')}</span>
+      <div class="path-step-body">
+        <a class="skill-name" href="#/skill/${step.skill}">/${step.skill}</a>${step === next ? ' <span class="path-next">&lt;- next</span>' : ''}
+        <p class="skill-desc">${escapeHtml(skill.desc)}</p>
+        ${needs ? `<p class="path-needs">needs:${needs}</p>` : ''}
+      </div>
+    </li>`;
+}
+
+function renderPathView(path) {
+  const names = path.steps.map(s => s.skill);
+  const cmd = buildCmd(names);
+  const next = nextStep(path);
+  const stages = pathStages(path).map(stage => `
+    <h2 class="path-stage">## ${escapeHtml(stage)}</h2>
+    <ol class="path-steps">
+      ${path.steps.map((step, i) => (step.stage === stage ? renderPathStep(step, i, next) : '')).join('')}
+    </ol>`).join('');
+
+  return `
+    <div class="detail-header">
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <span class="skill-category">path</span>
+    </div>
+    <h1 class="detail-title">${escapeHtml(path.title)}</h1>
+    <p class="detail-desc">${escapeHtml(path.description)}</p>
+    <p class="path-progress">${progressBar(path.steps)}</p>
+    <div class="tag-cmd-wrap detail-install">
+      <span class="prompt">$</span>
+      <code class="tag-cmd" data-install="${names.join(' ')}">${cmd}</code>
+      <button class="tag-copy-btn" data-cmd="${cmd}" data-install="${names.join(' ')}" title="Copy the command that installs this path">[COPY]</button>
+      <button class="subcat-cart-btn" data-skills="${names.join(' ')}" title="Add this path to the bundle">[+ BUNDLE]</button>
+    </div>
+    ${stages}
+    <div class="path-actions">
+      <button class="tag-copy-btn" data-action="export" title="Download progress as JSON">[EXPORT]</button>
+      <button class="tag-copy-btn" data-action="import" title="Load progress from a JSON file">[IMPORT]</button>
+      <button class="tag-copy-btn" data-action="reset" title="Clear completion for this path">[RESET]</button>
+      <input type="file" class="path-import" accept="application/json,.json" hidden>
+      <span class="path-status" role="status"></span>
+    </div>`;
+}
+
+function showPath(id) {
+  const container = document.getElementById('pathView');
+  const path = learningPaths.find(p => p.id === id);
+  currentPath = path || null;
+  window.scrollTo(0, 0);
+
+  if (!path) {
+    container.innerHTML = `
+      <a class="detail-back" href="#/">[&lt;- cd ..]</a>
+      <p class="detail-error">cat: paths/${escapeHtml(id)}.json: No such file or directory</p>`;
+    return;
+  }
+  document.title = `${path.title} — Low-Level Dev Skills`;
+  container.innerHTML = renderPathView(path);
+}
+
+function refreshPath(container, focusSelector) {
+  saveProgress();
+  renderPathCards();
+  container.innerHTML = renderPathView(currentPath);
+  const target = focusSelector && container.querySelector(focusSelector);
+  if (target) target.focus();
+}
+
+function exportProgress() {
+  const blob = new Blob([JSON.stringify(progressData(), null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'low-level-dev-skills-progress.json');
+}
+
+// Merges completed skills from an exported file into the current progress.
+function importProgress(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.completed)) throw new Error('not a progress file');
+  const known = new Set(skills.map(s => s.name));
+  const imported = data.completed.filter(name => known.has(name));
+  imported.forEach(name => completedSkills.add(name));
+  return imported.length;
+}
+
+addRoute(/^#\/path\/([\w-]+)$/, {
+  id: 'pathView',
+  show: m => showPath(m[1]),
+  hide: () => {
+    currentPath = null;
+    document.getElementById('pathView').innerHTML = '';
+  },
+});
+
+function setupPaths() {
+  const container = document.getElementById('pathView');
+  if (!container || typeof learningPaths === 'undefined') return;
+  renderPathCards();
+
+  container.addEventListener('click', (e) => {
+    const check = e.target.closest('.path-check');
+    if (check) {
+      const name = check.dataset.skill;
+      if (completedSkills.has(name)) {
+        completedSkills.delete(name);
+      } else {
+        completedSkills.add(name);
+      }
+      refreshPath(container, `.path-check[data-skill="${name}"]`);
+      return;
+    }
+    const bundle = e.target.closest('.subcat-cart-btn');
+    if (bundle) {
+      addToCart(bundle.dataset.skills.split(' '));
+      return;
+    }
+    const btn = e.target.closest('.tag-copy-btn');
+    if (!btn) return;
+    if (btn.dataset.action === 'export') {
+      exportProgress();
+    } else if (btn.dataset.action === 'import') {
+      container.querySelector('.path-import').click();
+    } else if (btn.dataset.action === 'reset') {
+      currentPath.steps.forEach(step => completedSkills.delete(step.skill));
+      refreshPath(container, '[data-action="reset"]');
+    } else {
+      copyWithFeedback(btn, btn.dataset.cmd);
+    }
+  });
+
+  container.addEventListener('change', (e) => {
+    const input = e.target.closest('.path-import');
+    if (!input || !input.files.length) return;
+    input.files[0].text().then(text => {
+      const count = importProgress(text);
+      refreshPath(container, '[data-action="import"]');
+      container.querySelector('.path-status').textContent = `imported ${count} completed skill${count === 1 ? '' : 's'}`;
+    }).catch(err => {
+      container.querySelector('.path-status').textContent = `import failed: ${err.message}`;
+    });
+  });
+}
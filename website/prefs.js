@@ -0,0 +1,177 @@
+// Display preferences: theme, the CRT effects, the typing animations, the
+// clock and the text size. Loaded in <head> on every page so the saved
+// choice is applied before the first paint; the [prefs] button in the nav
+// opens the panel that changes it. Kept in localStorage.
+//
+// The `auto` theme follows prefers-color-scheme (and prefers-contrast:
+// more), and without a saved choice the typing animations follow
+// prefers-reduced-motion.
+
+const PREFS_KEY = 'low-level-dev-skills:prefs';
+
+const THEMES = [
+  { id: 'auto', label: 'auto' },
+  { id: 'dark', label: 'dark' },
+  { id: 'light', label: 'light' },
+  { id: 'contrast', label: 'high contrast' },
+];
+const FONT_SIZES = [
+  { id: 'normal', label: '100%' },
+  { id: 'large', label: '115%' },
+  { id: 'larger', label: '130%' },
+];
+const EFFECTS = [
+  { id: 'scanlines', label: 'scanlines' },
+  { id: 'crt', label: 'CRT glow and vignette' },
+  { id: 'typewriter', label: 'typing animations' },
+  { id: 'clock', label: 'clock' },
+];
+// Browser theme colour for each resolved theme, matching --bg-primary.
+const THEME_COLORS = { dark: '#0a0a0a', light: '#f6f6ef', contrast: '#000000' };
+
+function mediaMatches(query) {
+  return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+function defaultPrefs() {
+  const motion = !mediaMatches('(prefers-reduced-motion: reduce)');
+  return { theme: 'auto', fontSize: 'normal', scanlines: true, crt: true, typewriter: motion, clock: true };
+}
+
+function loadPrefs() {
+  const loaded = defaultPrefs();
+  try {
+    const data = JSON.parse(localStorage.getItem(PREFS_KEY)) || {};
+    if (THEMES.some(t => t.id === data.theme)) loaded.theme = data.theme;
+    if (FONT_SIZES.some(f => f.id === data.fontSize)) loaded.fontSize = data.fontSize;
+    for (const { id } of EFFECTS) {
+      if (typeof data[id] === 'boolean') loaded[id] = data[id];
+    }
+  } catch (err) {
+    // Unreadable or unavailable storage: use the defaults.
+  }
+  return loaded;
+}
+
+const prefs = loadPrefs();
+
+function savePrefs() {
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch (err) {
+    // Storage is unavailable: the choice lasts for this visit only.
+  }
+}
+
+function resolvedTheme() {
+  if (prefs.theme !== 'auto') return prefs.theme;
+  if (mediaMatches('(prefers-contrast: more)')) return 'contrast';
+  return mediaMatches('(prefers-color-scheme: light)') ? 'light' : 'dark';
+}
+
+// Everything is driven from attributes on <html>, which exists before
+// <body> is parsed. Scripts that need more than CSS (the clock's timer)
+// listen for the `prefschange` event on document.
+function applyPrefs() {
+  const root = document.documentElement;
+  const theme = resolvedTheme();
+  root.dataset.theme = theme;
+  root.dataset.fontSize = prefs.fontSize;
+  for (const { id } of EFFECTS) root.classList.toggle(`no-${id}`, !prefs[id]);
+
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', THEME_COLORS[theme]);
+  document.dispatchEvent(new Event('prefschange'));
+}
+
+applyPrefs();
+
+function renderPrefs() {
+  const panel = document.getElementById('prefsPanel');
+  if (!panel) return;
+  const radios = (name, options, value) => options.map(o => `
+    <label class="prefs-option">
+      <input type="radio" name="${name}" value="${o.id}"${o.id === value ? ' checked' : ''}> ${o.label}
+    </label>`).join('');
+
+  panel.innerHTML = `
+    <fieldset class="prefs-group">
+      <legend>theme</legend>
+      ${radios('theme', THEMES, prefs.theme)}
+    </fieldset>
+    <fieldset class="prefs-group">
+      <legend>effects</legend>
+      ${EFFECTS.map(e => `
+        <label class="prefs-option">
+          <input type="checkbox" name="${e.id}"${prefs[e.id] ? ' checked' : ''}> ${e.label}
+        </label>`).join('')}
+    </fieldset>
+    <fieldset class="prefs-group">
+      <legend>text size</legend>
+      ${radios('fontSize', FONT_SIZES, prefs.fontSize)}
+    </fieldset>
+    <button class="tag-copy-btn prefs-reset" type="button">[RESET]</button>`;
+}
+
+function setPrefsOpen(open) {
+  const btn = document.getElementById('prefsBtn');
+  const panel = document.getElementById('prefsPanel');
+  btn.setAttribute('aria-expanded', String(open));
+  if (open) {
+    panel.removeAttribute('hidden');
+    panel.querySelector('input:checked, input').focus();
+  } else {
+    panel.setAttribute('hidden', '');
+  }
+}
+
+function setupPrefs() {
+  const btn = document.getElementById('prefsBtn');
+  const panel = document.getElementById('prefsPanel');
+  if (!btn || !panel) return;
+  renderPrefs();
+
+  btn.addEventListener('click', () => setPrefsOpen(panel.hidden));
+
+  panel.addEventListener('change', (e) => {
+    const input = e.target;
+    if (input.type === 'checkbox') {
+      prefs[input.name] = input.checked;
+    } else {
+      prefs[input.name] = input.value;
+    }
+    savePrefs();
+    applyPrefs();
+  });
+
+  panel.addEventListener('click', (e) => {
+    if (!e.target.closest('.prefs-reset')) return;
+    try {
+      localStorage.removeItem(PREFS_KEY);
+    } catch (err) {
+      // Nothing saved to remove.
+    }
+    Object.assign(prefs, defaultPrefs());
+    applyPrefs();
+    renderPrefs();
+    panel.querySelector('input').focus();
+  });
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    setPrefsOpen(false);
+    btn.focus();
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!panel.hidden && !panel.contains(e.target) && e.target !== btn) setPrefsOpen(false);
+  });
+
+  // Follow the system setting while the theme is auto.
+  if (window.matchMedia) {
+    for (const query of ['(prefers-color-scheme: light)', '(prefers-contrast: more)']) {
+      window.matchMedia(query).addEventListener('change', applyPrefs);
+    }
+  }
+}
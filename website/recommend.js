@@ -0,0 +1,169 @@
+// "Which skill do I need?": ranks skills against a pasted error message,
+// tool output or question by TF-IDF over their names, trigger lines,
+// descriptions and headings. scripts/build.js runs buildRecommendIndex()
+// over the catalog ahead of time, so the page only scores.
+
+const RECOMMEND_FIELDS = [
+  { weight: 3, text: skill => [skill.name.replace(/-/g, ' ')] },
+  { weight: 2, text: skill => skill.triggers },
+  { weight: 1, text: skill => [skill.desc] },
+  { weight: 1, text: skill => skill.headings },
+];
+
+// Words that turn up in most compiler and linker output without saying
+// anything about which tool is involved.
+const RECOMMEND_STOP_WORDS = new Set([
+  'bin', 'error', 'exit', 'file', 'line', 'main', 'no', 'not', 'returned', 'status', 'usr', 'warning',
+]);
+const RECOMMEND_LIMIT = 5;
+
+let recommendTermIds = null;
+
+function stemTerm(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Addresses, line numbers and other pure numbers say nothing about the
+// skill, so they are dropped before stemming.
+function recommendTerms(text) {
+  return tokenize(text)
+    .filter(t => t.length > 1 && !RECOMMEND_STOP_WORDS.has(t) && !/^(?:\d+|0x[0-9a-f]+)$/.test(t))
+    .map(stemTerm);
+}
+
+function weightVector(counts, idf) {
+  const vector = new Map();
+  counts.forEach((tf, id) => vector.set(id, (1 + Math.log(tf)) * idf[id]));
+  const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+  vector.forEach((w, id) => vector.set(id, w / norm));
+  return vector;
+}
+
+// Returns { terms, idf, vectors, triggers }: the vocabulary, its inverse
+// document frequencies, each skill's normalized TF-IDF vector flattened
+// to [termId, weight, ...], and the term ids of each of its trigger lines.
+function buildRecommendIndex(skills) {
+  const docs = skills.map(skill => {
+    const tf = new Map();
+    for (const { weight, text } of RECOMMEND_FIELDS) {
+      for (const line of text(skill)) {
+        for (const term of recommendTerms(line)) tf.set(term, (tf.get(term) || 0) + weight);
+      }
+    }
+    return tf;
+  });
+
+  const df = new Map();
+  docs.forEach(tf => tf.forEach((count, term) => df.set(term, (df.get(term) || 0) + 1)));
+  const terms = [...df.keys()].sort();
+  const ids = new Map(terms.map((term, i) => [term, i]));
+  const idf = terms.map(term => Number(Math.log(1 + skills.length / df.get(term)).toFixed(4)));
+
+  const vectors = docs.map(tf => {
+    const counts = new Map([...tf].map(([term, count]) => [ids.get(term), count]));
+    return [...weightVector(counts, idf)].flatMap(([id, w]) => [id, Number(w.toFixed(4))]);
+  });
+  const triggers = skills.map(skill => skill.triggers.map(line => [
+    ...new Set(recommendTerms(line).map(term => ids.get(term))),
+  ]));
+  return { terms, idf, vectors, triggers };
+}
+
+// The index is built from the catalog, so index.vectors[i] describes
+// skills[i].
+function recommendSkills(index, text, limit = RECOMMEND_LIMIT) {
+  if (!recommendTermIds) recommendTermIds = new Map(index.terms.map((term, i) => [term, i]));
+  const counts = new Map();
+  const queryTerms = new Set();
+  for (const term of recommendTerms(text)) {
+    const id = recommendTermIds.get(term);
+    if (id === undefined) continue;
+    counts.set(id, (counts.get(id) || 0) + 1);
+    queryTerms.add(term);
+  }
+  const query = weightVector(counts, index.idf);
+
+  return index.vectors
+    .map((vector, i) => {
+      let score = 0;
+      for (let k = 0; k < vector.length; k += 2) {
+        if (query.has(vector[k])) score += vector[k + 1] * query.get(vector[k]);
+      }
+      return { skill: skills[i], score, i };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ skill, score, i }) => {
+      const triggers = index.triggers[i]
+        .map((ids, j) => ({
+          line: skill.triggers[j],
+          score: ids.filter(id => query.has(id)).reduce((sum, id) => sum + index.idf[id], 0),
+        }))
+        .filter(t => t.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3)
+        .map(t => t.line);
+      return { skill, score, triggers, queryTerms };
+    });
+}
+
+function scoreBar(score, top) {
+  const filled = Math.max(1, Math.round((score / top) * 10));
+  return `[${'#'.repeat(filled)}${'-'.repeat(10 - filled)}]`;
+}
+
+function renderRecommendations(text) {
+  const container = document.getElementById('recommendResults');
+  if (!text.trim()) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const results = recommendSkills(recommendIndex, text);
+  if (!results.length) {
+    container.innerHTML = '<p class="skills-empty">which-skill: nothing in the catalog matches that text</p>';
+    return;
+  }
+
+  const top = results[0].score;
+  container.innerHTML = `<ol class="recommend-list">${results.map(({ skill, score, triggers, queryTerms }) => {
+    const cmd = buildCmd([skill.name]);
+    const matchedWords = line => new Set(
+      (line.toLowerCase().match(TOKEN_RE) || []).filter(word => queryTerms.has(stemTerm(word))));
+    return `
+      <li class="recommend-item">
+        <div class="recommend-head">
+          <a class="skill-name" href="#/skill/${skill.name}">/${skill.name}</a>
+          <span class="skill-category">${skill.category}</span>
+          <span class="recommend-score" title="Relevance relative to the best match">${scoreBar(score, top)}</span>
+        </div>
+        ${triggers.length ? `<ul class="recommend-triggers">${triggers.map(line => `
+          <li>&gt; ${highlightText(line.replace(/`/g, ''), matchedWords(line))}</li>`).join('')}
+        </ul>` : `<p class="skill-desc">${escapeHtml(skill.desc)}</p>`}
+        <div class="tag-cmd-wrap">
+          <code class="tag-cmd" data-install="${skill.name}">${cmd}</code>
+          <button class="tag-copy-btn" data-cmd="${cmd}" data-install="${skill.name}" title="Copy install command">[COPY]</button>
+        </div>
+      </li>`;
+  }).join('')}</ol>`;
+}
+
+function setupRecommender() {
+  const input = document.getElementById('recommendInput');
+  const container = document.getElementById('recommendResults');
+  if (!input || typeof recommendIndex === 'undefined') return;
+
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => renderRecommendations(input.value), 150);
+  });
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.tag-copy-btn');
+    if (btn) copyWithFeedback(btn, btn.dataset.cmd);
+  });
+}
@@ -0,0 +1,58 @@
+// Hash-based routing between the home page and full-page views such as
+// #/skill/<name>. Each view owns a <section> in <main> and registers a
+// pattern with addRoute(); an unmatched hash shows the home page.
+
+const routes = [];
+const homeTitle = document.title;
+let activeView = null;
+let homeScrollY = 0;
+
+// `view` is { id, show(match), hide() }: the id of its section, a
+// function rendering it for the matched hash and an optional cleanup.
+function addRoute(pattern, view) {
+  routes.push({ pattern, view });
+}
+
+function enterView(view) {
+  if (activeView === view) return;
+  if (activeView) {
+    leaveView();
+  } else {
+    homeScrollY = window.scrollY;
+  }
+  activeView = view;
+  document.body.classList.add('view-open');
+  const section = document.getElementById(view.id);
+  section.classList.add('view-active');
+  section.removeAttribute('hidden');
+}
+
+function leaveView() {
+  const section = document.getElementById(activeView.id);
+  section.classList.remove('view-active');
+  section.setAttribute('hidden', '');
+  if (activeView.hide) activeView.hide();
+  activeView = null;
+}
+
+function handleRoute() {
+  for (const { pattern, view } of routes) {
+    const match = location.hash.match(pattern);
+    if (match) {
+      enterView(view);
+      view.show(match);
+      return;
+    }
+  }
+  if (!activeView) return;
+
+  leaveView();
+  document.title = homeTitle;
+  document.body.classList.remove('view-open');
+  window.scrollTo(0, homeScrollY);
+}
+
+function setupRouter() {
+  window.addEventListener('hashchange', handleRoute);
+  handleRoute();
+}
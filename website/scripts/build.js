@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+// Builds the static site into website/dist from the sources in website/
+// and the skills/ tree. Usage: node scripts/build.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_PATH, skillFiles, catalogEntry, catalog, skillDocument } = require('./lib/catalog');
+const { TEMPLATE, loadSkills, linkRelated, templateSection, sectionLines, codeCommands } = require('./lib/skills');
+const { lintSkills, lintErrors, formatProblem } = require('./lib/lint');
+const { renderMarkdown } = require('./lib/markdown');
+const { highlight } = require('./lib/highlight');
+const { pageHref, skillPage, categoryPage, sitemap, atomFeed, robots } = require('./lib/pages');
+const { skillHistory } = require('./lib/history');
+const { loadPaths } = require('./lib/paths');
+const { runSiteScripts, loadSiteData } = require('./lib/site');
+const { walkTree } = require('./lib/tree');
+const { wordCount, dashboardData } = require('./lib/dashboard');
+
+const SITE_DIR = path.resolve(__dirname, '..');
+const ROOT_DIR = path.resolve(SITE_DIR, '..');
+const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
+const PATHS_DIR = path.join(SITE_DIR, 'paths');
+const OUT_DIR = path.join(SITE_DIR, 'dist');
+
+const REPO_URL = 'https://github.com/mohitmishra786/low-level-dev-skills';
+const STATIC_FILES = [
+  'style.css', 'search.js', 'router.js', 'detail.js', 'graph.js', 'cart.js', 'compare.js', 'tree-view.js',
+  'recommend.js', 'path-view.js', 'cookbook.js', 'dashboard.js', 'keyboard.js', 'url-state.js', 'installer.js',
+  'archive.js', 'offline.js', 'prefs.js', 'script.js', 'page.js', 'favicon.svg', 'manifest.webmanifest', SCHEMA_PATH,
+  'fonts/vt323-latin-400.woff2', 'fonts/ibm-plex-mono-latin-400.woff2', 'fonts/ibm-plex-mono-latin-600.woff2',
+];
+const GENERATED_SCRIPTS = ['catalog.js', 'project-tree.js', 'recommend-index.js', 'learning-paths.js'];
+
+// Fence languages the cookbook files under another name; unlabelled
+// fences are text.
+const SNIPPET_LANGS = {
+  '': 'text', sh: 'bash', shell: 'bash', console: 'bash', zsh: 'bash', 'c++': 'cpp', assembly: 'asm', s: 'asm',
+  py: 'python', python3: 'python', make: 'makefile',
+};
+
+// Absolute URL of the deployed site, for canonical links, the sitemap and
+// the feed. Vercel provides the production domain; SITE_URL overrides it.
+// Anywhere else the build falls back to a local address and says so.
+const VERCEL_URL = process.env.VERCEL_PROJECT_PRODUCTION_URL;
+const LOCAL_URL = 'http://localhost:3000';
+const SITE_URL = (process.env.SITE_URL || (VERCEL_URL ? `https://${VERCEL_URL}` : LOCAL_URL)).replace(/\/$/, '');
+
+function writeFile(rel, contents) {
+  const file = path.join(OUT_DIR, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+function renderTemplate(src, vars) {
+  return src.replace(/\{\{(\w+)\}\}/g, (m, key) => {
+    if (!(key in vars)) throw new Error(`Unknown template variable: ${key}`);
+    return vars[key];
+  });
+}
+
+function catalogEntries(skills) {
+  return skills.map(s => ({
+    name: s.name,
+    category: s.category,
+    desc: s.description,
+    triggers: s.triggers,
+    headings: s.headings,
+    related: s.related,
+    added: s.added,
+    updated: s.updated,
+  }));
+}
+
+function buildCatalog(entries) {
+  return [
+    '// Generated by scripts/build.js from skills/*/*/SKILL.md — do not edit.',
+    'const skills = [',
+    entries.map(e => `  ${JSON.stringify(e)},`).join('\n'),
+    '];',
+    '',
+  ].join('\n');
+}
+
+function buildProjectTree() {
+  const tree = {
+    name: path.basename(REPO_URL),
+    path: '',
+    children: walkTree(ROOT_DIR),
+  };
+  return [
+    '// Generated by scripts/build.js from the repository layout — do not edit.',
+    `const projectTree = ${JSON.stringify(tree)};`,
+    '',
+  ].join('\n');
+}
+
+function referenceId(file) {
+  return `ref-${path.basename(file, '.md')}`;
+}
+
+// Links into the in-site detail view: #/skill/<name>[/<anchor>].
+function appHref(name, anchor) {
+  return `#/skill/${name}${anchor ? `/${anchor}` : ''}`;
+}
+
+// Renders a skill's SKILL.md and references/*.md into the JSON document
+// the in-site detail view (#/skill/<name>) loads. `skillHref(name, anchor)`
+// builds links to skills, so the static pages can reuse it.
+function buildContent(skill, skillsByPath, skillHref = appHref) {
+  const resolveCode = text => {
+    const target = skillsByPath.get(text.replace(/\/$/, ''));
+    return target ? skillHref(target.name) : null;
+  };
+  const linkResolver = idPrefix => href => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return href; // renderMarkdown drops unsafe schemes
+    if (href.startsWith('#')) return skillHref(skill.name, `${idPrefix}${href.slice(1)}`);
+    const ref = href.match(/^(?:\.\/)?references\/([^#]+\.md)(?:#(.*))?$/);
+    if (ref && skill.references.includes(ref[1])) {
+      const id = referenceId(ref[1]);
+      return skillHref(skill.name, ref[2] ? `${id}-${ref[2]}` : id);
+    }
+    return `${REPO_URL}/blob/main/${skill.path}/${href.replace(/^\.\//, '')}`;
+  };
+
+  const main = renderMarkdown(skill.body, { resolveLink: linkResolver(''), resolveCode });
+  const toc = main.headings.filter(h => h.depth === 2 || h.depth === 3);
+
+  const references = skill.references.map(file => {
+    const id = referenceId(file);
+    const src = fs.readFileSync(path.join(skill.dir, 'references', file), 'utf8');
+    const doc = renderMarkdown(src, { idPrefix: `${id}-`, resolveLink: linkResolver(`${id}-`), resolveCode });
+    const h1 = doc.headings.find(h => h.depth === 1);
+    const title = h1 ? h1.title : file;
+    toc.push({ depth: 2, title: `references/${file}`, id });
+    toc.push(...doc.headings.filter(h => h.depth === 2));
+    return { file, id, title, html: doc.html };
+  });
+
+  // Where each template section starts in `html`, and the commands in
+  // it, for the compare view.
+  const sections = TEMPLATE.map(({ key }) => {
+    const section = templateSection(skill.sections, key);
+    const heading = section && main.headings.find(h => h.depth === 2 && h.title === section.title);
+    return heading && { key, id: heading.id, commands: codeCommands(sectionLines(skill.sections, key)) };
+  }).filter(Boolean);
+
+  return {
+    name: skill.name,
+    category: skill.category,
+    path: skill.path,
+    description: skill.description,
+    html: main.html,
+    toc,
+    sections,
+    references,
+  };
+}
+
+// Every fenced code block in SKILL.md and references/*.md, for the
+// cookbook view (#/cookbook). Each snippet links to the heading it sits
+// under in the detail view, using the same ids buildContent gives them.
+function buildCookbook(skills) {
+  const snippets = [];
+  for (const skill of skills) {
+    const docs = [{ file: 'SKILL.md', src: skill.body, idPrefix: '' }, ...skill.references.map(file => ({
+      file: `references/${file}`,
+      src: fs.readFileSync(path.join(skill.dir, 'references', file), 'utf8'),
+      idPrefix: `${referenceId(file)}-`,
+    }))];
+    for (const { file, src, idPrefix } of docs) {
+      for (const block of renderMarkdown(src, { idPrefix }).codeBlocks) {
+        if (!block.code.trim()) continue;
+        const lang = block.lang.toLowerCase();
+        snippets.push({
+          skill: skill.name,
+          category: skill.category,
+          file,
+          lang: SNIPPET_LANGS[lang] || lang,
+          heading: block.heading ? block.heading.title : null,
+          anchor: block.heading ? block.heading.id : (idPrefix ? idPrefix.slice(0, -1) : null),
+          code: block.code,
+          html: highlight(block.code, block.lang),
+        });
+      }
+    }
+  }
+  return { count: snippets.length, snippets };
+}
+
+function buildDashboard(skills, tagInstalls) {
+  const referenceWords = new Map(skills.map(skill => [skill.name, skill.references.reduce((sum, file) =>
+    sum + wordCount(fs.readFileSync(path.join(skill.dir, 'references', file), 'utf8')), 0)]));
+  return dashboardData(skills, tagInstalls, referenceWords);
+}
+
+// One static HTML page per skill (skill/<name>.html) and per category
+// (category/<name>.html), served without the extension through
+// cleanUrls in vercel.json, plus sitemap.xml, feed.xml and robots.txt.
+function buildPages(skills, skillsByPath, installCmd) {
+  const layout = fs.readFileSync(path.join(SITE_DIR, 'templates', 'page.html'), 'utf8');
+  const urls = [`${SITE_URL}/`];
+
+  const categories = [...new Set(skills.map(s => s.category))].sort();
+  for (const category of categories) {
+    const inCategory = skills.filter(s => s.category === category);
+    const page = categoryPage(category, inCategory, categories, {
+      siteUrl: SITE_URL,
+      cmd: installCmd(inCategory.map(s => s.name)),
+    });
+    writeFile(`category/${category}.html`, renderTemplate(layout, page));
+    urls.push(page.url);
+  }
+
+  for (const skill of skills) {
+    const doc = buildContent(skill, skillsByPath, pageHref(skill.name));
+    const page = skillPage(skill, doc, {
+      siteUrl: SITE_URL,
+      cmd: installCmd([skill.name]),
+      sourceUrl: `${REPO_URL}/blob/main/${skill.path}/SKILL.md`,
+    });
+    writeFile(`skill/${skill.name}.html`, renderTemplate(layout, page));
+    urls.push(page.url);
+  }
+
+  writeFile('sitemap.xml', sitemap(urls));
+  writeFile('feed.xml', atomFeed(skills, { siteUrl: SITE_URL, repoUrl: REPO_URL }));
+  writeFile('robots.txt', robots(SITE_URL));
+}
+
+// The JSON catalog for agents and tooling: skills.json plus
+// api/skills/<name>.json, both described by schema/skills.schema.json.
+function buildApi(skills, installCmd) {
+  const entries = skills.map(skill => {
+    const files = skillFiles(skill);
+    const entry = catalogEntry(skill, files, installCmd([skill.name]));
+    writeFile(entry.url, JSON.stringify(skillDocument(entry, skill, files), null, 2));
+    return entry;
+  });
+  writeFile('skills.json', JSON.stringify(catalog(entries, REPO_URL), null, 2));
+}
+
+// The recommender's TF-IDF index, built by the same code the page uses
+// to score queries. Its arrays line up with the catalog's skills.
+function buildRecommend(entries) {
+  const buildIndex = runSiteScripts(SITE_DIR, ['search.js', 'recommend.js'], 'buildRecommendIndex');
+  return [
+    '// Generated by scripts/build.js from the catalog — do not edit.',
+    `const recommendIndex = ${JSON.stringify(buildIndex(entries))};`,
+    '',
+  ].join('\n');
+}
+
+function buildPaths(paths) {
+  return [
+    '// Generated by scripts/build.js from website/paths/*.json — do not edit.',
+    'const learningPaths = [',
+    paths.map(p => `  ${JSON.stringify(p)},`).join('\n'),
+    '];',
+    '',
+  ].join('\n');
+}
+
+// The service worker precaches the home page, its assets and every
+// skill's content JSON. The cookbook and dashboard data are larger and
+// only needed by their own views, so they are cached on first use. Its
+// cache version hashes all of these, so it is built last and changes
+// (dropping the cached copies) whenever any of them does.
+function buildServiceWorker(skills) {
+  const files = [
+    ...STATIC_FILES.filter(file => file !== SCHEMA_PATH),
+    ...GENERATED_SCRIPTS,
+    ...skills.map(s => `content/${s.name}.json`),
+  ];
+  const hash = crypto.createHash('sha256');
+  for (const file of ['index.html', ...files, 'cookbook.json', 'dashboard.json']) {
+    hash.update(fs.readFileSync(path.join(OUT_DIR, file)));
+  }
+
+  const src = fs.readFileSync(path.join(SITE_DIR, 'sw.js'), 'utf8');
+  return renderTemplate(src, {
+    cacheVersion: hash.digest('hex').slice(0, 16),
+    precacheUrls: JSON.stringify(['./', ...files]),
+  });
+}
+
+function build() {
+  if (!process.env.SITE_URL && !VERCEL_URL) {
+    console.warn(`warning: SITE_URL is not set; canonical links, sitemap.xml and feed.xml point at ${LOCAL_URL}`);
+  }
+  const skills = loadSkills(SKILLS_DIR);
+  const problems = lintSkills(skills);
+  problems.forEach(problem => (problem.severity === 'error' ? console.error : console.warn)(formatProblem(problem)));
+  if (lintErrors(problems).length) {
+    console.error('\nSKILL.md files do not follow the template; run node scripts/lint.js for a report');
+    process.exit(1);
+  }
+  linkRelated(skills);
+  const { paths, problems: pathProblems } = loadPaths(PATHS_DIR, skills);
+  if (pathProblems.length) {
+    pathProblems.forEach(problem => console.error(`error: ${problem}`));
+    process.exit(1);
+  }
+  const history = skillHistory(ROOT_DIR, skills, message => console.warn(`warning: ${message}`));
+  skills.forEach(skill => Object.assign(skill, history.get(skill.name)));
+  const vars = { skillCount: String(skills.length), siteUrl: SITE_URL };
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  const index = fs.readFileSync(path.join(SITE_DIR, 'index.html'), 'utf8');
+  writeFile('index.html', renderTemplate(index, vars));
+  for (const file of STATIC_FILES) {
+    writeFile(file, fs.readFileSync(path.join(SITE_DIR, file)));
+  }
+  const entries = catalogEntries(skills);
+  writeFile('catalog.js', buildCatalog(entries));
+  writeFile('recommend-index.js', buildRecommend(entries));
+  writeFile('learning-paths.js', buildPaths(paths));
+  writeFile('project-tree.js', buildProjectTree());
+  writeFile('cookbook.json', JSON.stringify(buildCookbook(skills)));
+
+  const skillsByPath = new Map(skills.map(s => [s.path, s]));
+  for (const skill of skills) {
+    writeFile(`content/${skill.name}.json`, JSON.stringify(buildContent(skill, skillsByPath)));
+  }
+  const { BASE_CMD, tagInstalls } = loadSiteData(SITE_DIR);
+  writeFile('dashboard.json', JSON.stringify(buildDashboard(skills, tagInstalls)));
+  const installCmd = names => `${BASE_CMD} ${names.join(' ')}`;
+  buildPages(skills, skillsByPath, installCmd);
+  buildApi(skills, installCmd);
+  writeFile('sw.js', buildServiceWorker(skills));
+
+  console.log(`Built ${skills.length} skills into ${path.relative(process.cwd(), OUT_DIR) || '.'}`);
+}
+
+build();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// Checks that the website's hand-maintained metadata (tagInstalls and
+// catDirMap in script.js, learning paths in paths/, skill counts in
+// index.html and README.md) agrees with the skills/ tree, then runs the
+// build scripts' tests in scripts/test/. Exits non-zero if anything is
+// off. Usage: node scripts/check.js
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { loadPaths } = require('./lib/paths');
+const { loadSkills, linkRelated } = require('./lib/skills');
+const { loadSiteData } = require('./lib/site');
+
+const SITE_DIR = path.resolve(__dirname, '..');
+const ROOT_DIR = path.resolve(SITE_DIR, '..');
+const SKILLS_DIR = path.join(ROOT_DIR, 'skills');
+const TEST_DIR = path.join(__dirname, 'test');
+
+function checkDuplicates(skills, report) {
+  const seen = new Map();
+  for (const skill of skills) {
+    if (seen.has(skill.name)) {
+      report(`duplicate skill name "${skill.name}": ${seen.get(skill.name).path} and ${skill.path}`);
+    } else {
+      seen.set(skill.name, skill);
+    }
+  }
+}
+
+function checkTagInstalls(skills, tagInstalls, report) {
+  const names = new Set(skills.map(s => s.name));
+  const bundled = new Set();
+  for (const tag of tagInstalls) {
+    for (const sub of tag.subcategories) {
+      for (const name of sub.skills) {
+        bundled.add(name);
+        if (!names.has(name)) {
+          report(`tagInstalls: "${tag.tag}" > "${sub.label}" lists "${name}", which is not a skill in skills/`);
+        }
+      }
+    }
+  }
+  for (const skill of skills) {
+    if (!bundled.has(skill.name)) report(`${skill.path}: not in any tagInstalls bundle`);
+  }
+}
+
+function checkCatDirMap(skills, catDirMap, report) {
+  const categories = new Set(skills.map(s => s.category));
+  for (const category of categories) {
+    if (!(category in catDirMap)) report(`catDirMap: category "${category}" is missing`);
+  }
+  for (const [category, dir] of Object.entries(catDirMap)) {
+    if (!fs.existsSync(path.join(SKILLS_DIR, dir))) {
+      report(`catDirMap: "${category}" maps to skills/${dir}, which does not exist`);
+    }
+  }
+}
+
+// Hard-coded counts that must match the tree. Counts in index.html are
+// normally filled in by the build through {{skillCount}}, so any literal
+// number there is suspect.
+const COUNT_CHECKS = [
+  { file: 'website/index.html', re: /\b(\d+) (?:AI agent )?skills\b/g, kind: 'skills' },
+  { file: 'website/script.js', re: /\b(\d+) skills\b/g, kind: 'skills' },
+  { file: 'website/script.js', re: /\b(\d+) categories\b/g, kind: 'categories' },
+  { file: 'README.md', re: /Total: (\d+) skills/g, kind: 'skills' },
+];
+
+function checkCounts(skills, report) {
+  const expected = { skills: skills.length, categories: new Set(skills.map(s => s.category)).size };
+  for (const { file, re, kind } of COUNT_CHECKS) {
+    const lines = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      for (const m of line.matchAll(re)) {
+        if (Number(m[1]) !== expected[kind]) {
+          report(`${file}:${i + 1}: says ${m[1]} ${kind}, but skills/ has ${expected[kind]}`);
+        }
+      }
+    });
+  }
+}
+
+function check() {
+  const skills = loadSkills(SKILLS_DIR);
+  linkRelated(skills);
+  const { tagInstalls, catDirMap } = loadSiteData(SITE_DIR);
+  const problems = [];
+  const report = message => problems.push(message);
+
+  checkDuplicates(skills, report);
+  checkTagInstalls(skills, tagInstalls, report);
+  checkCatDirMap(skills, catDirMap, report);
+  checkCounts(skills, report);
+  loadPaths(path.join(SITE_DIR, 'paths'), skills).problems.forEach(report);
+
+  for (const message of problems) console.error(`error: ${message}`);
+  if (problems.length) {
+    console.error(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  console.log(`OK: ${skills.length} skills, website metadata is consistent`);
+}
+
+// Runs every scripts/test/*.test.js with node:test. Only failures are
+// printed in full.
+function runTests() {
+  const files = fs.readdirSync(TEST_DIR).filter(f => f.endsWith('.test.js')).sort();
+  const result = spawnSync(process.execPath, ['--test', '--test-reporter=dot', ...files], {
+    cwd: TEST_DIR,
+    stdio: 'inherit',
+  });
+  if (result.status !== 0) {
+    console.error('\nerror: scripts/test failed');
+    process.exit(1);
+  }
+  console.log(`OK: ${files.length} test file${files.length === 1 ? '' : 's'} passed`);
+}
+
+check();
+runTests();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Version of the skills.json / api/skills/<name>.json format. Bump it
+// when a field is removed or changes meaning; adding fields is fine.
+const CATALOG_VERSION = 1;
+const SCHEMA_PATH = 'schema/skills.schema.json';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// The files an install copies: SKILL.md and references/*.md, with paths
+// relative to the skill directory.
+function skillFiles(skill) {
+  const files = ['SKILL.md', ...skill.references.map(file => `references/${file}`)];
+  return files.map(file => {
+    const content = fs.readFileSync(path.join(skill.dir, file), 'utf8');
+    return { path: file, hash: sha256(content), content };
+  });
+}
+
+// Hash over every file's path and content, so renaming, editing, adding
+// or removing a reference all change it.
+function contentHash(files) {
+  return sha256(files.map(f => `${f.path}\0${f.hash}\n`).join(''));
+}
+
+function catalogEntry(skill, files, installCmd) {
+  return {
+    name: skill.name,
+    category: skill.category,
+    path: skill.path,
+    description: skill.description,
+    triggers: skill.triggers,
+    related: skill.related,
+    references: skill.references.map(file => `references/${file}`),
+    install: installCmd,
+    hash: contentHash(files),
+    added: skill.added,
+    updated: skill.updated,
+    url: `api/skills/${skill.name}.json`,
+  };
+}
+
+function catalog(entries, repository) {
+  return {
+    $schema: SCHEMA_PATH,
+    version: CATALOG_VERSION,
+    repository,
+    count: entries.length,
+    skills: entries,
+  };
+}
+
+function skillDocument(entry, skill, files) {
+  return {
+    $schema: `../../${SCHEMA_PATH}#/$defs/skillDocument`,
+    version: CATALOG_VERSION,
+    ...entry,
+    headings: skill.headings,
+    files,
+  };
+}
+
+module.exports = { SCHEMA_PATH, skillFiles, contentHash, catalogEntry, catalog, skillDocument };
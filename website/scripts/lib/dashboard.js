@@ -0,0 +1,46 @@
+const { templateSection } = require('./skills');
+
+function wordCount(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Per-skill coverage figures for the dashboard (#/dashboard), from the
+// parsed skills after linkRelated() and script.js's tagInstalls.
+// `referenceWords` maps a skill name to the word count of its
+// references/*.md.
+function dashboardData(skills, tagInstalls, referenceWords) {
+  const bundles = new Map(skills.map(s => [s.name, []]));
+  for (const tag of tagInstalls) {
+    for (const sub of tag.subcategories) {
+      for (const name of sub.skills) {
+        const tags = bundles.get(name);
+        if (tags && !tags.includes(tag.tag)) tags.push(tag.tag);
+      }
+    }
+  }
+
+  const linkedFrom = new Map(skills.map(s => [s.name, 0]));
+  for (const skill of skills) {
+    for (const name of new Set(skill.related)) {
+      if (name !== skill.name) linkedFrom.set(name, linkedFrom.get(name) + 1);
+    }
+  }
+
+  return {
+    count: skills.length,
+    skills: skills.map(skill => ({
+      name: skill.name,
+      category: skill.category,
+      path: skill.path,
+      words: wordCount(skill.body),
+      referenceWords: referenceWords.get(skill.name) || 0,
+      references: skill.references.length,
+      triggers: Boolean(templateSection(skill.sections, 'triggers')),
+      related: skill.related.length,
+      linkedFrom: linkedFrom.get(skill.name),
+      bundles: bundles.get(skill.name),
+    })),
+  };
+}
+
+module.exports = { wordCount, dashboardData };
@@ -0,0 +1,152 @@
+// Minimal regex-based syntax highlighting for the fenced code blocks in
+// SKILL.md files. Emits <span class="tok-*"> around comments, strings,
+// numbers, keywords and (for shells) flags and variables.
+
+const { escapeHtml } = require('./html');
+
+const C_KEYWORDS = [
+  'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extern',
+  'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'restrict', 'return', 'short', 'signed',
+  'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while',
+  'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t', 'int8_t', 'int16_t', 'int32_t', 'int64_t', 'size_t', 'bool',
+  'true', 'false', 'NULL',
+];
+
+const CPP_KEYWORDS = [
+  ...C_KEYWORDS, 'class', 'namespace', 'template', 'typename', 'public', 'private', 'protected', 'virtual',
+  'override', 'constexpr', 'consteval', 'noexcept', 'nullptr', 'new', 'delete', 'using', 'operator', 'this',
+  'co_await', 'co_yield', 'co_return', 'concept', 'requires', 'module', 'import', 'export', 'std',
+];
+
+const LANGUAGES = {
+  c: { comments: ['//', '/*'], keywords: C_KEYWORDS, preprocessor: true },
+  cpp: { comments: ['//', '/*'], keywords: CPP_KEYWORDS, preprocessor: true },
+  rust: {
+    comments: ['//', '/*'],
+    keywords: [
+      'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'else', 'enum', 'extern', 'false', 'fn',
+      'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self',
+      'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while',
+    ],
+    singleQuoteStrings: false,
+  },
+  zig: {
+    comments: ['//'],
+    keywords: [
+      'const', 'var', 'fn', 'pub', 'return', 'if', 'else', 'while', 'for', 'switch', 'try', 'catch', 'defer',
+      'errdefer', 'comptime', 'struct', 'enum', 'union', 'error', 'test', 'inline', 'export', 'extern', 'and',
+      'or', 'orelse', 'unreachable', 'undefined', 'null', 'true', 'false',
+    ],
+  },
+  bash: {
+    comments: ['#'],
+    keywords: [
+      'if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'case', 'esac', 'function',
+      'export', 'local', 'return', 'sudo', 'echo', 'cd',
+    ],
+    shell: true,
+  },
+  python: {
+    comments: ['#'],
+    keywords: [
+      'def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'import', 'from', 'as', 'with',
+      'try', 'except', 'finally', 'raise', 'pass', 'lambda', 'yield', 'None', 'True', 'False', 'and', 'or', 'not',
+    ],
+  },
+  gdb: {
+    comments: ['#'],
+    keywords: [
+      'break', 'tbreak', 'watch', 'rwatch', 'awatch', 'run', 'continue', 'next', 'step', 'nexti', 'stepi',
+      'finish', 'print', 'p', 'x', 'bt', 'backtrace', 'info', 'frame', 'set', 'display', 'define', 'end',
+      'target', 'thread', 'catch', 'record', 'reverse-step', 'reverse-next', 'reverse-continue', 'source',
+      'breakpoint', 'register', 'memory', 'expression', 'image', 'command', 'script',
+    ],
+  },
+  toml: { comments: ['#'], keywords: ['true', 'false'] },
+  yaml: { comments: ['#'], keywords: ['true', 'false', 'null'] },
+  cmake: { comments: ['#'], keywords: [] },
+  makefile: { comments: ['#'], keywords: ['ifeq', 'ifneq', 'ifdef', 'ifndef', 'else', 'endif', 'include'], shell: true },
+  ld: {
+    comments: ['/*'],
+    keywords: [
+      'ENTRY', 'MEMORY', 'SECTIONS', 'KEEP', 'ALIGN', 'ORIGIN', 'LENGTH', 'PROVIDE', 'AT', 'ADDR', 'LOADADDR',
+      'SIZEOF', 'INCLUDE', 'ASSERT', 'OUTPUT_FORMAT', 'OUTPUT_ARCH',
+    ],
+  },
+  asm: { comments: ['#', ';', '//'], keywords: [] },
+  llvm: {
+    comments: [';'],
+    keywords: ['define', 'declare', 'ret', 'call', 'load', 'store', 'alloca', 'br', 'icmp', 'phi', 'getelementptr'],
+  },
+  ini: { comments: ['#', ';'], keywords: [] },
+  dts: { comments: ['//', '/*'], keywords: ['compatible', 'reg', 'status', 'interrupts'], preprocessor: true },
+};
+
+const ALIASES = {
+  sh: 'bash', shell: 'bash', console: 'bash', cmd: 'bash', dockerfile: 'bash',
+  'c++': 'cpp', objc: 'c', java: 'cpp', javascript: 'cpp', js: 'cpp', hare: 'zig', carbon: 'cpp',
+  verilog: 'c', tablegen: 'cpp', mlir: 'llvm', wat: 'llvm', lldb: 'gdb', assembly: 'asm', s: 'asm',
+  python3: 'python', py: 'python', tcl: 'bash', apparmor: 'bash', json: 'toml', wit: 'rust', ninja: 'makefile',
+};
+
+const COMMENT_PATTERNS = {
+  '//': '//.*',
+  '/*': '/\\*[\\s\\S]*?\\*/',
+  '#': '(?:^|(?<=\\s))#(?![!\\[]).*',
+  ';': ';.*',
+};
+
+const compiled = new Map();
+
+function compile(lang) {
+  if (compiled.has(lang)) return compiled.get(lang);
+  const spec = LANGUAGES[lang];
+  const parts = [];
+  parts.push(['comment', spec.comments.map(c => COMMENT_PATTERNS[c]).join('|')]);
+  if (spec.preprocessor) parts.push(['keyword', '^\\s*#\\s*\\w+']);
+  const strings = ['"(?:[^"\\\\\\n]|\\\\.)*"'];
+  if (spec.singleQuoteStrings !== false) strings.push("'(?:[^'\\\\\\n]|\\\\.)*'");
+  parts.push(['string', strings.join('|')]);
+  if (spec.shell) {
+    parts.push(['var', '\\$\\{[^}\\n]*\\}|\\$[A-Za-z_][\\w]*|\\$[0-9@#?*]']);
+    parts.push(['flag', '(?<=\\s)--?[A-Za-z][\\w-]*']);
+  }
+  parts.push(['number', '\\b(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?)\\b']);
+  if (spec.keywords.length) {
+    const words = spec.keywords.map(k => k.replace(/[-]/g, '\\-')).join('|');
+    parts.push(['keyword', `(?<![\\w-])(?:${words})(?![\\w-])`]);
+  }
+  const re = new RegExp(parts.map(([, p]) => `(${p})`).join('|'), 'gm');
+  const entry = { re, kinds: parts.map(([kind]) => kind) };
+  compiled.set(lang, entry);
+  return entry;
+}
+
+function resolveLanguage(lang) {
+  const key = (lang || '').toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return LANGUAGES[resolved] ? resolved : null;
+}
+
+function highlight(code, lang) {
+  const resolved = resolveLanguage(lang);
+  if (!resolved) return escapeHtml(code);
+
+  const { re, kinds } = compile(resolved);
+  let out = '';
+  let last = 0;
+  re.lastIndex = 0;
+  for (let m = re.exec(code); m; m = re.exec(code)) {
+    if (!m[0]) {
+      re.lastIndex++;
+      continue;
+    }
+    const kind = kinds[m.slice(1).findIndex(g => g !== undefined)];
+    out += escapeHtml(code.slice(last, m.index));
+    out += `<span class="tok-${kind}">${escapeHtml(m[0])}</span>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(code.slice(last));
+}
+
+module.exports = { highlight, resolveLanguage };
@@ -0,0 +1,81 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+function git(rootDir, args, options = {}) {
+  return execFileSync('git', args, {
+    cwd: rootDir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    ...options,
+  });
+}
+
+// Commits that touched skills/, newest first, as { date, files }.
+// Returns null when git or the repository's history is unavailable.
+function gitLog(rootDir) {
+  let out;
+  try {
+    out = git(rootDir, ['log', '--format=%x00%cI', '--name-only', '--', 'skills'], { maxBuffer: 64 * 1024 * 1024 });
+  } catch (err) {
+    return null;
+  }
+  return out.split('\0').filter(Boolean).map(chunk => {
+    const [date, ...files] = chunk.split('\n').filter(Boolean);
+    return { date: new Date(date).toISOString(), files };
+  });
+}
+
+function headDate(rootDir) {
+  try {
+    return new Date(git(rootDir, ['log', '-1', '--format=%cI']).trim()).toISOString();
+  } catch (err) {
+    return null;
+  }
+}
+
+// When the skill's newest file was last modified.
+function fileDate(skill) {
+  const files = ['SKILL.md', ...skill.references.map(file => `references/${file}`)];
+  return new Date(Math.max(...files.map(file => fs.statSync(path.join(skill.dir, file)).mtimeMs))).toISOString();
+}
+
+function isShallow(rootDir) {
+  try {
+    return git(rootDir, ['rev-parse', '--is-shallow-repository']).trim() === 'true';
+  } catch (err) {
+    return false;
+  }
+}
+
+// When each skill was added and last changed, as ISO dates keyed by name,
+// from the commits that touched the skill's directory. A skill with no
+// commits yet is dated to the HEAD commit, or without git to its files'
+// modification time, so rebuilding an unchanged tree gives the same
+// dates. Warns through `warn` when the dates cannot be trusted: no git
+// history, or a shallow clone (as CI and Vercel check out), whose oldest
+// commit is only the clone's boundary. The build never fetches; deepen
+// the clone beforehand for exact dates.
+function skillHistory(rootDir, skills, warn) {
+  if (isShallow(rootDir)) {
+    warn('shallow clone: skills older than the oldest fetched commit are dated to it');
+  }
+  const commits = gitLog(rootDir);
+  if (!commits) warn('no git history: skills are dated to when their files were modified');
+
+  const head = commits && headDate(rootDir);
+  const history = new Map();
+  for (const skill of skills) {
+    const prefix = `${skill.path}/`;
+    const touched = (commits || []).filter(commit => commit.files.some(file => file.startsWith(prefix)));
+    if (touched.length) {
+      history.set(skill.name, { added: touched[touched.length - 1].date, updated: touched[0].date });
+    } else {
+      const date = head || fileDate(skill);
+      history.set(skill.name, { added: date, updated: date });
+    }
+  }
+  return history;
+}
+
+module.exports = { skillHistory };
@@ -0,0 +1,20 @@
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// GitHub-style heading anchors, so links like `#flamegraphpl-options`
+// in the markdown keep working once rendered.
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\w\- ]+/g, '')
+    .trim()
+    .replace(/ /g, '-');
+}
+
+module.exports = { escapeHtml, slugify };
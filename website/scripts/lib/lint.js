@@ -0,0 +1,136 @@
+const { TEMPLATE } = require('./skills');
+
+const NAME_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DESCRIPTION_MAX = 1024;
+const SKILL_LINK_RE = /(?<![\w/.-])skills\/[\w-]+\/[\w-]+/g;
+// Rules whose problems are reported but do not fail the lint or the build.
+const WARNING_RULES = new Set(['references-linked']);
+
+function templateEntry(title) {
+  const lower = title.toLowerCase();
+  return TEMPLATE.find(t => t.titles.some(x => x.toLowerCase() === lower));
+}
+
+// Body lines outside fenced code blocks, with their line numbers.
+function proseLines(skill) {
+  const lines = [];
+  let fence = null;
+  skill.body.split(/\r?\n/).forEach((text, i) => {
+    const fenceMatch = text.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1].startsWith(fence)) fence = null;
+      return;
+    }
+    if (!fence) lines.push({ text, line: skill.bodyLine + i });
+  });
+  return lines;
+}
+
+// Each rule checks one skill and calls report(message, line) for every
+// problem. `ctx.byPath` maps skill paths to the loaded skills.
+const RULES = {
+  'frontmatter-name'(skill, ctx, report) {
+    const { name } = skill.frontmatter;
+    if (!name) {
+      report('frontmatter has no name', 1);
+    } else if (name !== skill.dirName) {
+      report(`frontmatter name "${name}" does not match the directory "${skill.dirName}"`, 1);
+    } else if (!NAME_RE.test(name)) {
+      report(`name "${name}" must be lowercase words separated by hyphens`, 1);
+    }
+  },
+
+  'frontmatter-description'(skill, ctx, report) {
+    const { description } = skill.frontmatter;
+    if (!description || !String(description).trim()) {
+      report('frontmatter has no description', 1);
+    } else if (String(description).length > DESCRIPTION_MAX) {
+      report(`description is ${String(description).length} characters, the limit is ${DESCRIPTION_MAX}`, 1);
+    }
+  },
+
+  'title'(skill, ctx, report) {
+    const titles = skill.sections.filter(s => s.depth === 1);
+    if (!titles.length) report('missing a level-1 title', skill.bodyLine);
+    titles.slice(1).forEach(s => report(`more than one level-1 title ("${s.title}")`, s.line));
+  },
+
+  'required-sections'(skill, ctx, report) {
+    for (const entry of TEMPLATE.filter(t => t.required)) {
+      const found = skill.sections.some(s => s.depth === 2 && templateEntry(s.title) === entry);
+      if (!found) report(`missing required section "## ${entry.titles.join('" or "## ')}"`, skill.bodyLine);
+    }
+  },
+
+  'section-order'(skill, ctx, report) {
+    let last = null;
+    for (const section of skill.sections.filter(s => s.depth === 2)) {
+      const entry = templateEntry(section.title);
+      if (!entry) continue;
+      if (last && entry === last.entry) {
+        report(`duplicate section "${section.title}"`, section.line);
+      } else if (last && TEMPLATE.indexOf(entry) < TEMPLATE.indexOf(last.entry)) {
+        report(`section "${section.title}" should come before "${last.section.title}"`, section.line);
+        continue;
+      }
+      last = { entry, section };
+    }
+  },
+
+  'heading-case'(skill, ctx, report) {
+    for (const section of skill.sections.filter(s => s.depth === 2)) {
+      const entry = templateEntry(section.title);
+      if (entry && !entry.titles.includes(section.title)) {
+        const expected = entry.titles.find(t => t.toLowerCase() === section.title.toLowerCase());
+        report(`heading "${section.title}" should be spelled "${expected}"`, section.line);
+      }
+    }
+  },
+
+  'skill-links'(skill, ctx, report) {
+    for (const { text, line } of proseLines(skill)) {
+      for (const target of new Set(text.match(SKILL_LINK_RE) || [])) {
+        if (!ctx.byPath.has(target)) report(`link to ${target}, which is not a skill`, line);
+      }
+    }
+  },
+
+  // A link to the references/ directory itself covers every file in it.
+  'references-linked'(skill, ctx, report) {
+    if (/\]\((?:\.\/)?references\/\)/.test(skill.body)) return;
+    for (const file of skill.references) {
+      if (!skill.body.includes(`references/${file}`)) {
+        report(`references/${file} is not linked from SKILL.md`, skill.bodyLine);
+      }
+    }
+  },
+};
+
+// Runs every rule over every skill. Returns problems as
+// { rule, severity, file, line, message }, in file order; `severity` is
+// "error" or "warning".
+function lintSkills(skills) {
+  const ctx = { byPath: new Map(skills.map(s => [s.path, s])) };
+  const problems = [];
+  for (const skill of skills) {
+    const file = `${skill.path}/SKILL.md`;
+    const found = [];
+    for (const [rule, check] of Object.entries(RULES)) {
+      const severity = WARNING_RULES.has(rule) ? 'warning' : 'error';
+      check(skill, ctx, (message, line) => found.push({ rule, severity, file, line, message }));
+    }
+    problems.push(...found.sort((a, b) => a.line - b.line));
+  }
+  return problems;
+}
+
+function formatProblem(problem) {
+  return `${problem.severity}: ${problem.file}:${problem.line}: ${problem.message} (${problem.rule})`;
+}
+
+function lintErrors(problems) {
+  return problems.filter(p => p.severity === 'error');
+}
+
+module.exports = { RULES, DESCRIPTION_MAX, lintSkills, lintErrors, formatProblem };
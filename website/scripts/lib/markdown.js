@@ -0,0 +1,250 @@
+// A small markdown renderer covering what the SKILL.md files use:
+// ATX headings, paragraphs, fenced code, pipe tables, nested lists,
+// blockquotes, rules, and inline code/links/emphasis.
+
+const { escapeHtml, slugify } = require('./html');
+const { highlight } = require('./highlight');
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const SCHEME_RE = /^([a-z][a-z0-9+.-]*):/i;
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+// Relative links and http(s)/mailto URLs pass; any other scheme
+// (javascript:, data:, vbscript:, ...) is rejected. Browsers ignore
+// control characters and whitespace in a scheme, so those are stripped
+// before the check.
+function isSafeHref(href) {
+  const scheme = href.replace(/[\u0000-\u0020]/g, '').match(SCHEME_RE);
+  return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function splitRow(line) {
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '`') {
+      inCode = !inCode;
+      cell += ch;
+    } else if (ch === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function createRenderer(options = {}) {
+  const idPrefix = options.idPrefix || '';
+  const resolveLink = options.resolveLink || (href => href);
+  const resolveCode = options.resolveCode || (() => null);
+  const headings = [];
+  const codeBlocks = [];
+  const usedIds = new Map();
+
+  function headingId(title) {
+    const base = slugify(title);
+    const n = usedIds.get(base) || 0;
+    usedIds.set(base, n + 1);
+    return idPrefix + (n ? `${base}-${n}` : base);
+  }
+
+  function inline(text) {
+    const codes = [];
+    let out = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => {
+      const body = code.trim();
+      const href = resolveCode(body);
+      const html = `<code>${escapeHtml(body)}</code>`;
+      codes.push(href ? `<a href="${escapeHtml(href)}">${html}</a>` : html);
+      return `\u0000${codes.length - 1}\u0000`;
+    });
+    out = escapeHtml(out);
+    out = out.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, rawHref) => {
+      const href = resolveLink(rawHref.replace(/&amp;/g, '&'));
+      if (!isSafeHref(href)) return label;
+      const external = /^https?:/.test(href);
+      const attrs = external ? ' target="_blank" rel="noopener"' : '';
+      return `<a href="${escapeHtml(href)}"${attrs}>${label}</a>`;
+    });
+    out = out.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, '<a href="$1" target="_blank" rel="noopener">$1</a>');
+    out = out.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+    out = out.replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>');
+    return out.replace(/\u0000(\d+)\u0000/g, (m, i) => codes[Number(i)]);
+  }
+
+  function renderCode(lang, code) {
+    const label = lang || 'text';
+    return `<div class="code-block">` +
+      `<div class="code-header"><span class="code-lang">${escapeHtml(label)}</span>` +
+      `<button class="code-copy-btn" type="button" title="Copy code">[COPY]</button></div>` +
+      `<pre><code class="lang-${escapeHtml(label)}">${highlight(code, lang)}</code></pre></div>`;
+  }
+
+  // Parses list items starting at lines[start]; returns [html, nextIndex].
+  function renderList(lines, start) {
+    const first = lines[start].match(LIST_RE);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+    while (i < lines.length) {
+      const m = lines[i].match(LIST_RE);
+      if (!m || m[1].length !== indent) break;
+      const item = { text: [m[3]], children: '' };
+      i++;
+      while (i < lines.length && lines[i].trim()) {
+        const child = lines[i].match(LIST_RE);
+        if (child && child[1].length > indent) {
+          const [html, next] = renderList(lines, i);
+          item.children += html;
+          i = next;
+        } else if (!child && /^\s+/.test(lines[i])) {
+          item.text.push(lines[i].trim());
+          i++;
+        } else {
+          break;
+        }
+      }
+      items.push(item);
+      if (i < lines.length && !lines[i].trim()) {
+        const next = lines.slice(i).findIndex(l => l.trim());
+        const nextMatch = next >= 0 && lines[i + next].match(LIST_RE);
+        if (!nextMatch || nextMatch[1].length !== indent) break;
+        i += next;
+      }
+    }
+    const tag = ordered ? 'ol' : 'ul';
+    const body = items.map(it => `<li>${inline(it.text.join(' '))}${it.children}</li>`).join('');
+    return [`<${tag}>${body}</${tag}>`, i];
+  }
+
+  function renderTable(lines, start) {
+    const header = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(c => {
+      if (c.startsWith(':') && c.endsWith(':')) return 'center';
+      if (c.endsWith(':')) return 'right';
+      return '';
+    });
+    const cell = (tag, text, col) => {
+      const align = aligns[col] ? ` style="text-align:${aligns[col]}"` : '';
+      return `<${tag}${align}>${inline(text)}</${tag}>`;
+    };
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+      rows.push(`<tr>${splitRow(lines[i]).map((c, col) => cell('td', c, col)).join('')}</tr>`);
+      i++;
+    }
+    const head = `<thead><tr>${header.map((c, col) => cell('th', c, col)).join('')}</tr></thead>`;
+    return [`<div class="table-wrap"><table>${head}<tbody>${rows.join('')}</tbody></table></div>`, i];
+  }
+
+  function render(src) {
+    const lines = src.split(/\r?\n/);
+    const out = [];
+    let para = [];
+    const flush = () => {
+      if (para.length) out.push(`<p>${inline(para.join(' '))}</p>`);
+      para = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(FENCE_RE);
+      if (fence) {
+        flush();
+        const code = [];
+        i++;
+        while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && !lines[i].trim().slice(fence[1].length).trim())) {
+          code.push(lines[i]);
+          i++;
+        }
+        codeBlocks.push({ lang: fence[2], code: code.join('\n'), heading: headings[headings.length - 1] || null });
+        out.push(renderCode(fence[2], code.join('\n')));
+        i++;
+        continue;
+      }
+
+      const heading = line.match(HEADING_RE);
+      if (heading) {
+        flush();
+        const depth = heading[1].length;
+        const title = heading[2];
+        const id = headingId(title);
+        headings.push({ depth, title: title.replace(/`/g, ''), id });
+        out.push(`<h${depth} id="${id}">${inline(title)}</h${depth}>`);
+        i++;
+        continue;
+      }
+
+      if (!line.trim()) {
+        flush();
+        i++;
+        continue;
+      }
+
+      if (RULE_RE.test(line) && !para.length) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        flush();
+        const [html, next] = renderTable(lines, i);
+        out.push(html);
+        i = next;
+        continue;
+      }
+
+      if (LIST_RE.test(line) && !para.length) {
+        const [html, next] = renderList(lines, i);
+        out.push(html);
+        i = next;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        flush();
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        out.push(`<blockquote>${render(quote.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      para.push(line.trim());
+      i++;
+    }
+    flush();
+    return out.join('\n');
+  }
+
+  return { render, headings, codeBlocks };
+}
+
+// Renders markdown to HTML. Returns the HTML, the headings found, each
+// with the anchor id it was given, and the fenced code blocks, each with
+// the heading it sits under (null before the first one).
+function renderMarkdown(src, options) {
+  const renderer = createRenderer(options);
+  const html = renderer.render(src);
+  return { html, headings: renderer.headings, codeBlocks: renderer.codeBlocks };
+}
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,143 @@
+const { escapeHtml } = require('./html');
+
+const SITE_NAME = 'Low-Level Dev Skills';
+
+// Links between the static pages, which live side by side in skill/:
+// anchors within the current page stay on it.
+function pageHref(current) {
+  return (name, anchor) => {
+    if (name === current) return anchor ? `#${anchor}` : '#';
+    return `${name}${anchor ? `#${anchor}` : ''}`;
+  };
+}
+
+function installBlock(cmd) {
+  return `
+    <div class="tag-cmd-wrap detail-install">
+      <span class="prompt">$</span>
+      <code class="tag-cmd">${cmd}</code>
+      <button class="tag-copy-btn" data-cmd="${cmd}" title="Copy install command">[COPY]</button>
+    </div>`;
+}
+
+// Each page is returned as the variables of templates/page.html.
+function skillPage(skill, doc, { siteUrl, cmd, sourceUrl }) {
+  const toc = doc.toc.map(h => `
+    <li class="toc-item toc-depth-${h.depth}"><a href="#${h.id}">${escapeHtml(h.title)}</a></li>`).join('');
+  const references = doc.references.map(ref => `
+    <section class="detail-reference" id="${ref.id}">
+      <div class="detail-reference-path">${doc.path}/references/${escapeHtml(ref.file)}</div>
+      ${ref.html}
+    </section>`).join('');
+
+  return {
+    title: escapeHtml(`/${skill.name} — ${SITE_NAME}`),
+    description: escapeHtml(skill.description),
+    url: `${siteUrl}/skill/${skill.name}`,
+    ogType: 'article',
+    root: '../',
+    navPath: `~/skills/${skill.category}/${skill.name}`,
+    content: `
+    <section class="skill-detail">
+      <div class="detail-header">
+        <a class="detail-back" href="../category/${skill.category}">[&lt;- cd ..]</a>
+        <span class="skill-category">${skill.category}</span>
+      </div>
+      <h1 class="detail-title">/${skill.name}</h1>
+      <p class="detail-desc">${escapeHtml(skill.description)}</p>
+      ${installBlock(cmd)}
+      <div class="detail-layout">
+        <nav class="detail-toc" aria-label="Table of contents">
+          <div class="detail-toc-title">## contents</div>
+          <ul class="toc-list">${toc}</ul>
+          <a class="detail-source" href="${sourceUrl}">[view on GitHub]</a>
+        </nav>
+        <article class="markdown-body">
+          ${doc.html}
+          ${references}
+        </article>
+      </div>
+    </section>`,
+  };
+}
+
+function categoryPage(category, skills, categories, { siteUrl, cmd }) {
+  const names = skills.map(s => s.name);
+  const tabs = categories.map(cat => `
+    <a class="tab${cat === category ? ' active' : ''}" href="${cat}"${cat === category ? ' aria-current="page"' : ''}>${cat}</a>`).join('');
+  const cards = skills.map(skill => `
+    <article class="skill-card">
+      <div class="skill-header">
+        <span class="skill-category">${skill.category}</span>
+      </div>
+      <a href="../skill/${skill.name}" class="skill-name">/${skill.name}</a>
+      <p class="skill-desc">${escapeHtml(skill.description)}</p>
+    </article>`).join('');
+
+  return {
+    title: escapeHtml(`${category} skills — ${SITE_NAME}`),
+    description: escapeHtml(`${names.length} AI agent skill${names.length === 1 ? '' : 's'} for ${category}: ${names.join(', ')}.`),
+    url: `${siteUrl}/category/${category}`,
+    ogType: 'website',
+    root: '../',
+    navPath: `~/skills/${category}`,
+    content: `
+    <section class="skill-detail">
+      <div class="detail-header">
+        <a class="detail-back" href="../">[&lt;- cd ..]</a>
+      </div>
+      <h1 class="detail-title">skills/${category}/</h1>
+      <p class="detail-desc">${names.length} skill${names.length === 1 ? '' : 's'}. Install them all with:</p>
+      ${installBlock(cmd)}
+      <nav class="category-tabs" aria-label="Categories">${tabs}</nav>
+      <div class="skills-grid">${cards}</div>
+    </section>`,
+  };
+}
+
+function sitemap(urls) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeHtml(url)}</loc></url>`),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+// Atom feed of the most recently added or changed skills. Each change of
+// a skill gets its own entry id, so feed readers show it again.
+function atomFeed(skills, { siteUrl, repoUrl, limit = 50 }) {
+  const recent = [...skills].sort((a, b) => b.updated.localeCompare(a.updated)).slice(0, limit);
+  const entries = recent.map(skill => {
+    const url = `${siteUrl}/skill/${skill.name}`;
+    const change = skill.updated === skill.added ? 'added' : 'updated';
+    return `
+  <entry>
+    <title>/${escapeHtml(skill.name)} ${change}</title>
+    <link href="${escapeHtml(url)}"/>
+    <id>${escapeHtml(`${url}#${skill.updated}`)}</id>
+    <published>${skill.added}</published>
+    <updated>${skill.updated}</updated>
+    <category term="${escapeHtml(skill.category)}"/>
+    <summary>${escapeHtml(skill.description)}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${SITE_NAME}: new and updated skills</title>
+  <link href="${escapeHtml(`${siteUrl}/feed.xml`)}" rel="self"/>
+  <link href="${escapeHtml(`${siteUrl}/`)}"/>
+  <id>${escapeHtml(`${siteUrl}/`)}</id>
+  <updated>${recent.length ? recent[0].updated : new Date().toISOString()}</updated>
+  <author><name>${SITE_NAME} contributors</name><uri>${escapeHtml(repoUrl)}</uri></author>${entries.join('')}
+</feed>
+`;
+}
+
+function robots(siteUrl) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}/sitemap.xml\n`;
+}
+
+module.exports = { pageHref, skillPage, categoryPage, sitemap, atomFeed, robots };
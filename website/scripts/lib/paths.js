@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Loads the learning paths in website/paths/*.json. Each file holds
+// { title, description, stages: [{ label, skills: [name, ...] }] }; the
+// file name is the path's id. A step's prerequisites are the earlier
+// steps it shares a related-skills link with, in either direction, so
+// linkRelated() must have run on `skills`. Returns { paths, problems }.
+function loadPaths(pathsDir, skills) {
+  const byName = new Map(skills.map(s => [s.name, s]));
+  const linked = (a, b) => byName.get(a).related.includes(b) || byName.get(b).related.includes(a);
+  const paths = [];
+  const problems = [];
+
+  const files = fs.existsSync(pathsDir) ? fs.readdirSync(pathsDir).filter(f => f.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    const rel = `website/paths/${file}`;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(pathsDir, file), 'utf8'));
+    } catch (err) {
+      problems.push(`${rel}: ${err.message}`);
+      continue;
+    }
+    if (!data.title) problems.push(`${rel}: missing "title"`);
+    if (!Array.isArray(data.stages) || !data.stages.length) {
+      problems.push(`${rel}: "stages" must be a non-empty list`);
+      continue;
+    }
+
+    const steps = [];
+    for (const stage of data.stages) {
+      for (const name of stage.skills || []) {
+        if (!byName.has(name)) {
+          problems.push(`${rel}: "${stage.label}" lists "${name}", which is not a skill in skills/`);
+        } else if (steps.some(s => s.skill === name)) {
+          problems.push(`${rel}: "${name}" appears more than once`);
+        } else {
+          steps.push({ skill: name, stage: stage.label || '' });
+        }
+      }
+    }
+    for (const [i, step] of steps.entries()) {
+      step.prerequisites = steps.slice(0, i).filter(s => linked(s.skill, step.skill)).map(s => s.skill);
+    }
+
+    paths.push({
+      id: path.basename(file, '.json'),
+      title: data.title || '',
+      description: data.description || '',
+      steps,
+    });
+  }
+  return { paths, problems };
+}
+
+module.exports = { loadPaths };
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Evaluates browser scripts from website/ in order in one sandbox and
+// returns the value of `expr`, so build tools can reuse their data and
+// functions. DOM setup registered for DOMContentLoaded is never run.
+// `globals` adds browser APIs the scripts use (TextEncoder, Blob, ...).
+function runSiteScripts(siteDir, files, expr, globals = {}) {
+  const sandbox = { document: { addEventListener() {} }, ...globals };
+  vm.createContext(sandbox);
+  for (const file of files) {
+    const full = path.join(siteDir, file);
+    vm.runInContext(fs.readFileSync(full, 'utf8'), sandbox, { filename: full });
+  }
+  return vm.runInContext(expr, sandbox);
+}
+
+// Returns script.js's top-level data (tagInstalls, catDirMap, ...) so
+// build tools can check it against the skills tree.
+function loadSiteData(siteDir) {
+  return runSiteScripts(siteDir, ['script.js'], '({ tagInstalls, catDirMap, BASE_CMD })');
+}
+
+module.exports = { runSiteScripts, loadSiteData };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"')) return JSON.parse(value);
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// Handles the subset of YAML the SKILL.md files use: scalars and
+// block lists of scalars.
+function parseFrontmatter(src) {
+  const match = src.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: src };
+
+  const data = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) continue;
+    if (pair[2] === '') {
+      listKey = pair[1];
+      data[listKey] = [];
+    } else {
+      listKey = null;
+      data[pair[1]] = parseScalar(pair[2]);
+    }
+  }
+  return { data, body: src.slice(match[0].length) };
+}
+
+// Splits a markdown body into heading-delimited sections, ignoring
+// heading-like lines inside fenced code blocks. Text before the first
+// heading is returned as a depth-0 section. `line` is the heading's line
+// number, counting the body's first line as `firstLine`.
+function parseSections(body, firstLine = 1) {
+  const sections = [{ depth: 0, title: '', line: firstLine, lines: [] }];
+  let fence = null;
+  body.split(/\r?\n/).forEach((line, i) => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1].startsWith(fence)) fence = null;
+    }
+    const heading = !fence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      sections.push({ depth: heading[1].length, title: heading[2], line: firstLine + i, lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  return sections;
+}
+
+function findSection(sections, ...titles) {
+  const wanted = titles.map(t => t.toLowerCase());
+  return sections.find(s => s.depth === 2 && wanted.includes(s.title.toLowerCase()));
+}
+
+// Level-2 sections of the SKILL.md template, in the order they must
+// appear. `titles` are the accepted headings, spelled as they should be;
+// both spellings of Related skills are in use across the tree.
+const TEMPLATE = [
+  { key: 'purpose', titles: ['Purpose'], required: true },
+  { key: 'triggers', titles: ['Triggers', 'When to Use'], required: true },
+  { key: 'workflow', titles: ['Workflow'], required: true },
+  { key: 'problems', titles: ['Common Problems'] },
+  { key: 'references', titles: ['References'] },
+  { key: 'related', titles: ['Related skills', 'Related Skills'], required: true },
+];
+
+function templateSection(sections, key) {
+  return findSection(sections, ...TEMPLATE.find(t => t.key === key).titles);
+}
+
+// A template section's own lines followed by those of its subsections,
+// up to the next level-2 heading.
+function sectionLines(sections, key) {
+  const start = sections.indexOf(templateSection(sections, key));
+  if (start < 0) return [];
+  const end = sections.findIndex((s, i) => i > start && s.depth <= 2);
+  return sections.slice(start, end < 0 ? undefined : end).flatMap(s => s.lines);
+}
+
+const COMMAND_LANGS = new Set(['bash', 'sh', 'shell', 'console', 'cmd', 'gdb', 'lldb']);
+
+// Distinct commands in the shell and debugger code blocks among `lines`,
+// with prompts, trailing comments and line continuations folded away so
+// the same command written in two skills compares equal.
+function codeCommands(lines) {
+  const commands = new Set();
+  let lang = null;
+  let pending = '';
+  for (const line of lines) {
+    const fence = line.match(/^\s*(?:`{3,}|~{3,})\s*([\w+-]*)/);
+    if (fence) {
+      lang = lang === null ? fence[1].toLowerCase() : null;
+      continue;
+    }
+    if (!COMMAND_LANGS.has(lang)) continue;
+
+    const text = pending + line.trim().replace(/^(?:\$|>|\(gdb\)|\(lldb\))\s+/, '').replace(/\s+#\s.*$/, '');
+    if (text.endsWith('\\')) {
+      pending = text.slice(0, -1);
+      continue;
+    }
+    pending = '';
+    const command = text.replace(/\s+/g, ' ').trim();
+    // Skip comments, decision trees and prose that happen to sit in a bash block.
+    if (/^[\w./-][\w.+/-]*(?: |$)/.test(command) && !command.endsWith('?')) commands.add(command);
+  }
+  return [...commands];
+}
+
+function listItems(section) {
+  if (!section) return [];
+  return section.lines
+    .map(line => line.match(/^[-*]\s+(.*)$/))
+    .filter(Boolean)
+    .map(m => m[1].trim());
+}
+
+function stripQuotes(text) {
+  const m = text.match(/^["“](.*)["”](.*)$/);
+  return m ? (m[1] + m[2]).trim() : text;
+}
+
+function headingText(title) {
+  return title.replace(/^\d+\.\s*/, '');
+}
+
+function relatedPaths(sections, self) {
+  const section = templateSection(sections, 'related');
+  if (!section) return [];
+  const found = section.lines.join('\n').match(/skills\/[\w-]+\/[\w-]+/g) || [];
+  return [...new Set(found)].filter(p => p !== self);
+}
+
+// Resolves each skill's related-skill paths against the loaded tree,
+// setting `skill.related` to the names that exist. Links to skills that
+// don't are reported by the skill-links lint rule.
+function linkRelated(skills) {
+  const byPath = new Map(skills.map(s => [s.path, s]));
+  for (const skill of skills) {
+    skill.related = skill.relatedPaths.filter(target => byPath.has(target)).map(target => byPath.get(target).name);
+  }
+}
+
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .sort();
+}
+
+function listReferences(dir) {
+  const refDir = path.join(dir, 'references');
+  if (!fs.existsSync(refDir)) return [];
+  return fs.readdirSync(refDir).filter(f => f.endsWith('.md')).sort();
+}
+
+function loadSkills(skillsDir) {
+  const skills = [];
+  for (const category of listDirs(skillsDir)) {
+    for (const dirName of listDirs(path.join(skillsDir, category))) {
+      const dir = path.join(skillsDir, category, dirName);
+      const file = path.join(dir, 'SKILL.md');
+      if (!fs.existsSync(file)) continue;
+      const src = fs.readFileSync(file, 'utf8');
+      const { data, body } = parseFrontmatter(src);
+      const bodyLine = src.slice(0, src.length - body.length).split('\n').length;
+      const sections = parseSections(body, bodyLine);
+      const triggers = [
+        ...listItems(templateSection(sections, 'triggers')),
+        ...(Array.isArray(data.triggers) ? data.triggers : []),
+      ].map(stripQuotes);
+      skills.push({
+        name: data.name || dirName,
+        dirName,
+        category,
+        path: `skills/${category}/${dirName}`,
+        dir,
+        description: data.description || '',
+        frontmatter: data,
+        body,
+        bodyLine,
+        sections,
+        triggers: [...new Set(triggers)],
+        headings: sections.filter(s => s.depth === 2 || s.depth === 3).map(s => headingText(s.title)),
+        references: listReferences(dir),
+        relatedPaths: relatedPaths(sections, `skills/${category}/${dirName}`),
+      });
+    }
+  }
+  return skills;
+}
+
+module.exports = {
+  TEMPLATE,
+  parseFrontmatter,
+  parseSections,
+  findSection,
+  templateSection,
+  sectionLines,
+  codeCommands,
+  listItems,
+  loadSkills,
+  linkRelated,
+};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+const IGNORED = new Set(['node_modules', 'dist']);
+
+// Walks the repository into { name, path, children? } nodes, directories
+// first, skipping dotfiles and build output.
+function walkTree(dir, rel = '') {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => !e.name.startsWith('.') && !IGNORED.has(e.name))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+
+  return entries.map(entry => {
+    const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return { name: entry.name, path: entryRel, children: walkTree(path.join(dir, entry.name), entryRel) };
+    }
+    return { name: entry.name, path: entryRel };
+  });
+}
+
+module.exports = { walkTree };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Lints every SKILL.md against the skill template: frontmatter, required
+// sections and their order, heading spelling, skills/ cross-links and
+// links to references/ files. The build runs the same rules. Exits
+// non-zero on errors; unlinked references/ files are only warnings.
+// Usage: node scripts/lint.js [--json] [skill-name ...]
+
+const path = require('path');
+const { loadSkills } = require('./lib/skills');
+const { lintSkills, lintErrors } = require('./lib/lint');
+
+const SKILLS_DIR = path.resolve(__dirname, '..', '..', 'skills');
+
+function report(problems, files) {
+  let current = null;
+  for (const problem of problems) {
+    if (problem.file !== current) {
+      current = problem.file;
+      console.log(`\n${current}`);
+    }
+    console.log(`  ${String(problem.line).padStart(4)}  ${problem.severity}  ${problem.message}  (${problem.rule})`);
+  }
+  if (problems.length) {
+    const count = new Set(problems.map(p => p.file)).size;
+    const errors = lintErrors(problems).length;
+    console.log(`\n${errors} error${errors === 1 ? '' : 's'} and ${problems.length - errors} warning${problems.length - errors === 1 ? '' : 's'}` +
+      ` in ${count} of ${files} SKILL.md files`);
+  } else {
+    console.log(`OK: ${files} SKILL.md files follow the template`);
+  }
+}
+
+function lint() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const only = args.filter(a => a !== '--json');
+
+  const skills = loadSkills(SKILLS_DIR);
+  const unknown = only.filter(name => !skills.some(s => s.name === name));
+  if (unknown.length) {
+    console.error(`error: no such skill: ${unknown.join(', ')}`);
+    process.exit(2);
+  }
+  const selected = only.length ? skills.filter(s => only.includes(s.name)) : skills;
+  const files = new Set(selected.map(s => `${s.path}/SKILL.md`));
+  const problems = lintSkills(skills).filter(p => files.has(p.file));
+
+  if (json) {
+    console.log(JSON.stringify({ files: files.size, problems }, null, 2));
+  } else {
+    report(problems, files.size);
+  }
+  if (lintErrors(problems).length) process.exit(1);
+}
+
+lint();
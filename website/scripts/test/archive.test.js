@@ -0,0 +1,115 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { runSiteScripts } = require('../lib/site');
+
+const SITE_DIR = path.resolve(__dirname, '..', '..');
+
+const { crc32, zipArchive, tarArchive, tarGzArchive, archiveEntries, ARCHIVE_ROOT } = runSiteScripts(
+  SITE_DIR,
+  ['installer.js', 'archive.js'],
+  '({ crc32, zipArchive, tarArchive, tarGzArchive, archiveEntries, ARCHIVE_ROOT })',
+  { TextEncoder, Blob, Response, CompressionStream, location: { origin: 'https://example.com' } },
+);
+
+function missing(command) {
+  return Boolean(spawnSync(command, ['--help'], { stdio: 'ignore' }).error);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function doc(category, name, files) {
+  return {
+    name,
+    category,
+    path: `skills/${category}/${name}`,
+    hash: sha256(name),
+    version: 'test',
+    files: Object.entries(files).map(([file, content]) => ({ path: file, hash: sha256(content), content })),
+  };
+}
+
+// Two skills, one with a path long enough to need the ustar prefix field
+// and a file with non-ASCII content.
+const DOCS = [
+  doc('debuggers', 'core-dumps', {
+    'SKILL.md': '# Core Dumps\n',
+    'references/coredumpctl.md': 'Résumé — “quotes” and ünïcode\n',
+  }),
+  doc('kernel-dev', 'a-skill-name-long-enough-to-push-the-archive-path-past-one-hundred-bytes', {
+    'references/also-a-fairly-long-reference-file-name.md': 'x'.repeat(1500),
+  }),
+];
+
+let tmpDir;
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+});
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+async function writeBlob(blob, file) {
+  const full = path.join(tmpDir, file);
+  fs.writeFileSync(full, Buffer.from(await blob.arrayBuffer()));
+  return full;
+}
+
+function listing(output) {
+  return output.split('\n').filter(Boolean).sort();
+}
+
+describe('archive.js', () => {
+  const entries = archiveEntries(DOCS);
+  const paths = entries.map(e => e.path).sort();
+
+  it('computes the standard CRC-32', () => {
+    assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+    assert.strictEqual(crc32(new Uint8Array(0)), 0);
+  });
+
+  it('lays out every file under the archive root with MANIFEST.json and SHA256SUMS', () => {
+    assert.ok(paths.includes(`${ARCHIVE_ROOT}/skills/debuggers/core-dumps/SKILL.md`));
+    assert.ok(paths.includes(`${ARCHIVE_ROOT}/MANIFEST.json`));
+    assert.ok(paths.includes(`${ARCHIVE_ROOT}/SHA256SUMS`));
+    assert.ok(paths.some(p => Buffer.byteLength(p) > 100));
+  });
+
+  it('writes a zip that unzip tests and extracts byte for byte', { skip: missing('unzip') }, async () => {
+    const file = await writeBlob(zipArchive(entries), 'skills.zip');
+    execFileSync('unzip', ['-tq', file]);
+    assert.deepStrictEqual(listing(execFileSync('unzip', ['-Z1', file], { encoding: 'utf8' })), paths);
+    for (const entry of entries) {
+      assert.deepStrictEqual(execFileSync('unzip', ['-p', file, entry.path]), Buffer.from(entry.data), entry.path);
+    }
+  });
+
+  it('writes a tar that tar lists and extracts byte for byte', { skip: missing('tar') }, async () => {
+    const file = await writeBlob(tarArchive(entries), 'skills.tar');
+    assert.deepStrictEqual(listing(execFileSync('tar', ['-tf', file], { encoding: 'utf8' })), paths);
+    for (const entry of entries) {
+      assert.deepStrictEqual(execFileSync('tar', ['-xOf', file, entry.path]), Buffer.from(entry.data), entry.path);
+    }
+  });
+
+  it('gzips the tar where CompressionStream exists', { skip: missing('tar') }, async () => {
+    const { blob, ext } = await tarGzArchive(entries);
+    assert.strictEqual(ext, 'tar.gz');
+    const file = await writeBlob(blob, 'skills.tar.gz');
+    assert.deepStrictEqual(listing(execFileSync('tar', ['-tzf', file], { encoding: 'utf8' })), paths);
+  });
+
+  it('unpacks to files that sha256sum -c accepts', { skip: missing('tar') || missing('sha256sum') }, async () => {
+    const file = await writeBlob(tarArchive(entries), 'checksums.tar');
+    const dest = fs.mkdtempSync(path.join(tmpDir, 'unpacked-'));
+    execFileSync('tar', ['-xf', file, '-C', dest]);
+    execFileSync('sha256sum', ['--quiet', '-c', 'SHA256SUMS'], { cwd: path.join(dest, ARCHIVE_ROOT) });
+    const manifest = JSON.parse(fs.readFileSync(path.join(dest, ARCHIVE_ROOT, 'MANIFEST.json'), 'utf8'));
+    assert.strictEqual(manifest.count, DOCS.length);
+    assert.deepStrictEqual(manifest.skills.map(s => s.path), DOCS.map(d => d.path));
+  });
+});
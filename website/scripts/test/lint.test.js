@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { DESCRIPTION_MAX, lintSkills, lintErrors } = require('../lib/lint');
+const { loadSkills } = require('../lib/skills');
+
+const SECTIONS = {
+  purpose: '## Purpose\n\nWhat the skill is for.\n',
+  triggers: '## Triggers\n\n- "How do I do the thing?"\n',
+  workflow: '## Workflow\n\n1. Do the thing.\n',
+  related: '## Related skills\n\n- Use `skills/debuggers/gdb` for interactive debugging\n',
+};
+
+function skillMd({ name = 'core-dumps', description = 'Analyse core files.', sections } = {}) {
+  const body = sections || [SECTIONS.purpose, SECTIONS.triggers, SECTIONS.workflow, SECTIONS.related];
+  return `---\nname: ${name}\ndescription: ${description}\n---\n\n# Core Dumps\n\n${body.join('\n')}`;
+}
+
+// Writes skills/debuggers/gdb plus one skills/debuggers/core-dumps
+// fixture to a fresh directory and lints them.
+function lintFixture(src, references = {}) {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'skills-'));
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  };
+  write('debuggers/gdb/SKILL.md', skillMd({ name: 'gdb' }));
+  write('debuggers/core-dumps/SKILL.md', src);
+  for (const [file, text] of Object.entries(references)) write(`debuggers/core-dumps/references/${file}`, text);
+  return lintSkills(loadSkills(dir)).filter(p => p.file === 'skills/debuggers/core-dumps/SKILL.md');
+}
+
+function rules(problems) {
+  return problems.map(p => p.rule);
+}
+
+let tmpDir;
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-test-'));
+});
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe('lintSkills', () => {
+  it('passes a skill that follows the template', () => {
+    assert.deepStrictEqual(lintFixture(skillMd()), []);
+  });
+
+  it('accepts both spellings of Related skills and When to Use for Triggers', () => {
+    const src = skillMd({
+      sections: [
+        SECTIONS.purpose,
+        '## When to Use\n\n- Crashes\n',
+        SECTIONS.workflow,
+        '## Related Skills\n\n- `skills/debuggers/gdb`\n',
+      ],
+    });
+    assert.deepStrictEqual(lintFixture(src), []);
+  });
+
+  it('reports a name that does not match the directory', () => {
+    const problems = lintFixture(skillMd({ name: 'coredumps' }));
+    assert.deepStrictEqual(rules(problems), ['frontmatter-name']);
+    assert.strictEqual(problems[0].line, 1);
+  });
+
+  it('reports a missing or too long description', () => {
+    assert.deepStrictEqual(rules(lintFixture(skillMd({ description: '""' }))), ['frontmatter-description']);
+    const long = 'x'.repeat(DESCRIPTION_MAX + 1);
+    assert.deepStrictEqual(rules(lintFixture(skillMd({ description: long }))), ['frontmatter-description']);
+  });
+
+  it('reports missing required sections', () => {
+    const problems = lintFixture(skillMd({ sections: [SECTIONS.purpose, SECTIONS.workflow, SECTIONS.related] }));
+    assert.deepStrictEqual(rules(problems), ['required-sections']);
+    assert.match(problems[0].message, /"## Triggers" or "## When to Use"/);
+  });
+
+  it('reports sections out of order and duplicated', () => {
+    const outOfOrder = skillMd({
+      sections: [SECTIONS.purpose, SECTIONS.workflow, SECTIONS.triggers, SECTIONS.related],
+    });
+    assert.deepStrictEqual(rules(lintFixture(outOfOrder)), ['section-order']);
+    const duplicated = skillMd({
+      sections: [SECTIONS.purpose, SECTIONS.triggers, SECTIONS.workflow, SECTIONS.workflow, SECTIONS.related],
+    });
+    assert.deepStrictEqual(rules(lintFixture(duplicated)), ['section-order']);
+  });
+
+  it('reports heading casing with the line of the heading', () => {
+    const src = skillMd({ sections: [SECTIONS.purpose, SECTIONS.triggers, '## workflow\n', SECTIONS.related] });
+    const problems = lintFixture(src);
+    assert.deepStrictEqual(rules(problems), ['heading-case']);
+    assert.strictEqual(src.split('\n')[problems[0].line - 1], '## workflow');
+  });
+
+  it('reports links to skills that do not exist, but not inside code blocks', () => {
+    const src = skillMd({
+      sections: [
+        SECTIONS.purpose,
+        SECTIONS.triggers,
+        '## Workflow\n\n```text\nskills/debuggers/nope\n```\n',
+        '## Related skills\n\n- `skills/debuggers/gdb` and `skills/debuggers/lldb`\n',
+      ],
+    });
+    const problems = lintFixture(src);
+    assert.deepStrictEqual(rules(problems), ['skill-links']);
+    assert.match(problems[0].message, /skills\/debuggers\/lldb/);
+  });
+
+  it('warns about unlinked references without failing', () => {
+    const problems = lintFixture(skillMd(), { 'gdb-commands.md': '# GDB commands\n' });
+    assert.deepStrictEqual(rules(problems), ['references-linked']);
+    assert.strictEqual(problems[0].severity, 'warning');
+    assert.deepStrictEqual(lintErrors(problems), []);
+  });
+
+  it('counts a reference as linked from a file link or a link to references/', () => {
+    const refs = { 'gdb-commands.md': '# GDB commands\n' };
+    const purpose = text => skillMd({
+      sections: [`## Purpose\n\n${text}\n`, SECTIONS.triggers, SECTIONS.workflow, SECTIONS.related],
+    });
+    assert.deepStrictEqual(lintFixture(purpose('See [commands](references/gdb-commands.md).'), refs), []);
+    assert.deepStrictEqual(lintFixture(purpose('See [the references](references/).'), refs), []);
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { renderMarkdown } = require('../lib/markdown');
+
+function html(src, options) {
+  return renderMarkdown(src, options).html.trim();
+}
+
+describe('renderMarkdown links', () => {
+  it('opens http and https links in a new tab', () => {
+    assert.strictEqual(html('[docs](https://example.com/a)'),
+      '<p><a href="https://example.com/a" target="_blank" rel="noopener">docs</a></p>');
+    assert.strictEqual(html('<http://example.com/>'),
+      '<p><a href="http://example.com/" target="_blank" rel="noopener">http://example.com/</a></p>');
+  });
+
+  it('keeps mailto and relative links in place', () => {
+    assert.strictEqual(html('[mail](mailto:dev@example.com)'), '<p><a href="mailto:dev@example.com">mail</a></p>');
+    assert.strictEqual(html('[ref](references/gdb.md#setup)'), '<p><a href="references/gdb.md#setup">ref</a></p>');
+  });
+
+  it('passes the unescaped href to resolveLink and escapes its result', () => {
+    const seen = [];
+    const resolveLink = href => {
+      seen.push(href);
+      return `#/skill/gdb?${href}`;
+    };
+    assert.strictEqual(html('[q](a.md?x=1&y=2)', { resolveLink }),
+      '<p><a href="#/skill/gdb?a.md?x=1&amp;y=2">q</a></p>');
+    assert.deepStrictEqual(seen, ['a.md?x=1&y=2']);
+  });
+
+  it('drops links with any other scheme and keeps their label', () => {
+    const hrefs = ['javascript:alert', 'JavaScript:void', 'data:text/html,x', 'vbscript:x', 'file:///etc/passwd'];
+    for (const href of hrefs) assert.strictEqual(html(`[click](${href})`), '<p>click</p>', href);
+  });
+
+  it('drops unsafe schemes hidden behind control characters or returned by resolveLink', () => {
+    assert.strictEqual(html('[x](\u0001javascript:alert)'), '<p>x</p>');
+    assert.strictEqual(html('[x](java\u0008script:alert)'), '<p>x</p>');
+    assert.strictEqual(html('[x](page.md)', { resolveLink: () => 'javascript:alert' }), '<p>x</p>');
+  });
+
+  it('links inline code that resolveCode recognises', () => {
+    const resolveCode = text => (text === 'skills/debuggers/gdb' ? '#/skill/gdb' : null);
+    assert.strictEqual(html('Use `skills/debuggers/gdb` or `gdb -q`.', { resolveCode }),
+      '<p>Use <a href="#/skill/gdb"><code>skills/debuggers/gdb</code></a> or <code>gdb -q</code>.</p>');
+  });
+});
+
+describe('renderMarkdown headings and code blocks', () => {
+  it('gives headings unique ids with the prefix', () => {
+    const { headings } = renderMarkdown('# Title\n\n## Setup\n\n## Setup\n', { idPrefix: 'ref-' });
+    assert.deepStrictEqual(headings.map(h => h.id), ['ref-title', 'ref-setup', 'ref-setup-1']);
+  });
+
+  it('records each fenced block with its language and heading', () => {
+    const { codeBlocks } = renderMarkdown('## Build\n\n```sh\nmake\n```\n\n~~~\nplain\n~~~\n');
+    assert.deepStrictEqual(codeBlocks.map(b => [b.lang, b.code, b.heading.title]), [
+      ['sh', 'make', 'Build'],
+      ['', 'plain', 'Build'],
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+// Client-side fuzzy search over the generated skills catalog.
+
+const SEARCH_FIELDS = [
+  { key: 'name', weight: 8 },
+  { key: 'triggers', weight: 4 },
+  { key: 'headings', weight: 3 },
+  { key: 'desc', weight: 2 },
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'says', 'shows', 'so', 'that', 'the', 'this', 'to', 'use',
+  'what', 'when', 'why', 'with',
+]);
+
+const TOKEN_RE = /[a-z0-9]+[+#]*/gi;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(TOKEN_RE) || []).filter(t => !STOP_WORDS.has(t));
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent
+// transpositions), giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well query term `term` matches indexed word `word`, from 0 to 1.
+function matchQuality(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  if (term.length < 4) return 0;
+  if (word.includes(term)) return 0.6;
+  if (word[0] !== term[0]) return 0;
+  const maxEdits = term.length >= 7 ? 2 : 1;
+  if (editDistance(term, word, maxEdits) <= maxEdits) return 0.5;
+  return 0;
+}
+
+// Maps every indexed word to the skills containing it, keeping the weight
+// of the most important field it appears in.
+function buildSearchIndex(skills) {
+  const vocab = new Map();
+  skills.forEach((skill, i) => {
+    for (const { key, weight } of SEARCH_FIELDS) {
+      const values = Array.isArray(skill[key]) ? skill[key] : [skill[key] || ''];
+      for (const word of values.flatMap(tokenize)) {
+        if (!vocab.has(word)) vocab.set(word, new Map());
+        const postings = vocab.get(word);
+        postings.set(i, Math.max(postings.get(i) || 0, weight));
+      }
+    }
+  });
+  return { skills, vocab, termCache: new Map() };
+}
+
+// Indexed words matching `term`, memoized because typing re-runs the
+// same terms on every keystroke.
+function termMatches(index, term) {
+  if (!index.termCache.has(term)) {
+    const matches = [];
+    for (const [word, postings] of index.vocab) {
+      const quality = matchQuality(term, word);
+      if (quality) matches.push({ word, quality, postings });
+    }
+    index.termCache.set(term, matches);
+  }
+  return index.termCache.get(term);
+}
+
+// Returns matching skills ranked by score. Each result carries the set of
+// indexed words that matched (for highlighting) and the best trigger line.
+function searchSkills(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const found = new Map();
+  terms.forEach((term, t) => {
+    for (const { word, quality, postings } of termMatches(index, term)) {
+      for (const [i, weight] of postings) {
+        if (!found.has(i)) found.set(i, { best: new Array(terms.length).fill(0), matched: new Set() });
+        const entry = found.get(i);
+        entry.matched.add(word);
+        entry.best[t] = Math.max(entry.best[t], quality * weight);
+      }
+    }
+  });
+
+  const results = [];
+  for (const [i, { best, matched }] of found) {
+    const skill = index.skills[i];
+    const hits = best.filter(Boolean).length;
+    const score = best.reduce((sum, b) => sum + b, 0);
+    results.push({
+      skill,
+      score: score * (hits / terms.length),
+      matched,
+      trigger: bestTrigger(skill, matched),
+    });
+  }
+  return results.sort((a, b) => b.score - a.score || a.skill.name.localeCompare(b.skill.name));
+}
+
+function bestTrigger(skill, matched) {
+  let best = null;
+  let bestHits = 0;
+  for (const trigger of skill.triggers || []) {
+    const hits = tokenize(trigger).filter(t => matched.has(t)).length;
+    if (hits > bestHits) {
+      best = trigger;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Escapes `text` for HTML and wraps words found in `matched` in <mark>.
+function highlightText(text, matched) {
+  return text.split(/([a-z0-9]+[+#]*)/i).map((part, i) => {
+    const safe = escapeHtml(part);
+    return i % 2 === 1 && matched && matched.has(part.toLowerCase()) ? `<mark>${safe}</mark>` : safe;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,66 @@
+// Service worker: precaches the site shell, the catalog and every
+// rendered SKILL.md so the site works offline. scripts/build.js fills in
+// the file list and a version derived from their contents, so each build
+// that changes a file installs a fresh cache and drops the old one.
+
+const CACHE_PREFIX = 'low-level-dev-skills-';
+const CACHE_NAME = `${CACHE_PREFIX}{{cacheVersion}}`;
+const PRECACHE_URLS = {{precacheUrls}};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+function cacheResponse(request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+// Pages: network first so a deploy shows up straight away, then the
+// cached copy. A static skill page that was never visited falls back to
+// the same skill in the cached home page.
+function handleNavigation(request) {
+  return fetch(request)
+    .then(response => cacheResponse(request, response))
+    .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => {
+      if (cached) return cached;
+      const skill = new URL(request.url).pathname.match(/\/skill\/([\w-]+)(?:\.html)?$/);
+      if (skill) return Response.redirect(new URL(`../#/skill/${skill[1]}`, request.url).href, 302);
+      return caches.match(new URL('./', self.registration.scope).href);
+    }));
+}
+
+// Everything else: cache first, keeping a copy of whatever had to come
+// from the network (cookbook.json, dashboard.json, api/ JSON, static
+// pages' assets).
+function handleAsset(request) {
+  return caches.match(request).then(cached => cached ||
+    fetch(request).then(response => cacheResponse(request, response)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/_vercel/')) {
+    event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+  }
+});
@@ -0,0 +1,159 @@
+// Interactive `tree` of the repository, generated at build time into
+// projectTree. Directories expand and collapse; SKILL.md and reference
+// files open in the skill detail view, anything else on GitHub.
+
+const REPO_BLOB_URL = 'https://github.com/mohitmishra786/low-level-dev-skills/blob/main';
+const expandedPaths = new Set(['', 'skills']);
+
+function treeSkill(parts) {
+  return skills.find(s => s.category === parts[1] && s.name === parts[2]);
+}
+
+function treeComment(node) {
+  const parts = node.path.split('/');
+  if (node.path === 'skills') {
+    const categories = new Set(skills.map(s => s.category)).size;
+    return `# ${skills.length} skills across ${categories} categories`;
+  }
+  if (parts[0] === 'skills' && parts.length === 2) {
+    const names = skills.filter(s => s.category === parts[1]).map(s => s.name).sort();
+    const more = names.length > 6 ? ` +${names.length - 6} more` : '';
+    return `# ${names.slice(0, 6).join(' ')}${more}`;
+  }
+  return '';
+}
+
+function treeFileHref(node) {
+  const parts = node.path.split('/');
+  const skill = parts[0] === 'skills' && parts.length >= 4 ? treeSkill(parts) : null;
+  if (skill && parts.length === 4 && parts[3] === 'SKILL.md') return `#/skill/${skill.name}`;
+  if (skill && parts.length === 5 && parts[3] === 'references' && parts[4].endsWith('.md')) {
+    return `#/skill/${skill.name}/ref-${parts[4].replace(/\.md$/, '')}`;
+  }
+  return `${REPO_BLOB_URL}/${node.path}`;
+}
+
+function renderTreeNode(node, prefix, isLast, level) {
+  const branch = level === 1 ? '' : (isLast ? '└── ' : '├── ');
+  const childPrefix = level === 1 ? '' : prefix + (isLast ? '    ' : '│   ');
+  const comment = treeComment(node);
+  const commentHtml = comment ? `  <span class="comment">${comment}</span>` : '';
+
+  if (!node.children) {
+    const href = treeFileHref(node);
+    const external = !href.startsWith('#');
+    return `
+      <li role="treeitem" aria-level="${level}" data-path="${escapeHtml(node.path)}" tabindex="-1">
+        <span class="tree-row"><span class="tree-prefix">${prefix}${branch}</span><a class="file" href="${escapeHtml(href)}"
+          tabindex="-1"${external ? ' target="_blank" rel="noopener"' : ''}>${escapeHtml(node.name)}</a>${commentHtml}</span>
+      </li>`;
+  }
+
+  const expanded = expandedPaths.has(node.path);
+  const children = node.children
+    .map((child, i) => renderTreeNode(child, childPrefix, i === node.children.length - 1, level + 1))
+    .join('');
+  return `
+    <li role="treeitem" aria-level="${level}" aria-expanded="${expanded}" data-path="${escapeHtml(node.path)}" tabindex="-1">
+      <span class="tree-row tree-toggle"><span class="tree-prefix">${prefix}${branch}</span><span class="dir">${escapeHtml(node.name)}/</span><span
+        class="tree-marker">${expanded ? ' [-]' : ' [+]'}</span>${commentHtml}</span>
+      <ul role="group"${expanded ? '' : ' hidden'}>${children}</ul>
+    </li>`;
+}
+
+function setTreeExpanded(item, expanded) {
+  const path = item.dataset.path;
+  if (expanded) {
+    expandedPaths.add(path);
+  } else {
+    expandedPaths.delete(path);
+  }
+  item.setAttribute('aria-expanded', String(expanded));
+  item.querySelector(':scope > .tree-row .tree-marker').textContent = expanded ? ' [-]' : ' [+]';
+  const group = item.querySelector(':scope > [role="group"]');
+  if (expanded) {
+    group.removeAttribute('hidden');
+  } else {
+    group.setAttribute('hidden', '');
+  }
+}
+
+function visibleTreeItems(tree) {
+  return [...tree.querySelectorAll('[role="treeitem"]')].filter(el => !el.closest('[role="group"][hidden]'));
+}
+
+function focusTreeItem(tree, item) {
+  tree.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(el => el.setAttribute('tabindex', '-1'));
+  item.setAttribute('tabindex', '0');
+  item.focus();
+}
+
+function activateTreeItem(item) {
+  if (item.hasAttribute('aria-expanded')) {
+    setTreeExpanded(item, item.getAttribute('aria-expanded') !== 'true');
+  } else {
+    item.querySelector(':scope > .tree-row a').click();
+  }
+}
+
+function handleTreeKey(tree, e) {
+  const item = e.target.closest('[role="treeitem"]');
+  if (!item) return;
+  const items = visibleTreeItems(tree);
+  const index = items.indexOf(item);
+  const expandable = item.hasAttribute('aria-expanded');
+  const expanded = item.getAttribute('aria-expanded') === 'true';
+
+  switch (e.key) {
+    case 'ArrowDown':
+      if (items[index + 1]) focusTreeItem(tree, items[index + 1]);
+      break;
+    case 'ArrowUp':
+      if (items[index - 1]) focusTreeItem(tree, items[index - 1]);
+      break;
+    case 'ArrowRight':
+      if (expandable && !expanded) {
+        setTreeExpanded(item, true);
+      } else if (expandable) {
+        focusTreeItem(tree, visibleTreeItems(tree)[index + 1]);
+      }
+      break;
+    case 'ArrowLeft':
+      if (expandable && expanded) {
+        setTreeExpanded(item, false);
+      } else {
+        const parent = item.parentElement.closest('[role="treeitem"]');
+        if (parent) focusTreeItem(tree, parent);
+      }
+      break;
+    case 'Home':
+      focusTreeItem(tree, items[0]);
+      break;
+    case 'End':
+      focusTreeItem(tree, items[items.length - 1]);
+      break;
+    case 'Enter':
+    case ' ':
+      activateTreeItem(item);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+function renderTree() {
+  const tree = document.getElementById('treeView');
+  if (!tree || typeof projectTree === 'undefined') return;
+
+  tree.innerHTML = renderTreeNode(projectTree, '', true, 1);
+  tree.querySelector('[role="treeitem"]').setAttribute('tabindex', '0');
+
+  tree.addEventListener('click', (e) => {
+    const item = e.target.closest('[role="treeitem"]');
+    if (!item) return;
+    focusTreeItem(tree, item);
+    if (e.target.closest('.tree-toggle')) setTreeExpanded(item, item.getAttribute('aria-expanded') !== 'true');
+  });
+  tree.addEventListener('keydown', e => handleTreeKey(tree, e));
+}
@@ -0,0 +1,114 @@
+// Home page state in the query string, so a reload or a shared link lands
+// on the same view and back/forward step through it:
+//   ?category=<name>&q=<search>&sort=updated&open=<tag>,<tag>&at=<section id>
+// Changing the category or sort, or opening a bundle, pushes a history entry;
+// further typing in the search box and scrolling replace the current one.
+
+let scrollTarget = '';
+let searchEntry = false;
+
+function readHomeState() {
+  const params = new URLSearchParams(location.search);
+  return {
+    category: params.get('category') || 'all',
+    query: params.get('q') || '',
+    sort: params.get('sort') === 'updated' ? 'updated' : 'category',
+    open: (params.get('open') || '').split(',').filter(Boolean),
+    at: params.get('at') || '',
+  };
+}
+
+function expandedTags() {
+  return [...document.querySelectorAll('#tagGrid .tag-card')]
+    .filter(card => card.querySelector('.tag-toggle-btn').getAttribute('aria-expanded') === 'true')
+    .map(card => card.dataset.tag);
+}
+
+function homeStateUrl() {
+  const url = new URL(location.href);
+  const values = {
+    category: activeCategory === 'all' ? '' : activeCategory,
+    q: searchQuery.trim() ? searchQuery : '',
+    sort: skillSort === 'category' ? '' : skillSort,
+    open: expandedTags().join(','),
+    at: scrollTarget,
+  };
+  for (const [key, value] of Object.entries(values)) {
+    if (value) {
+      url.searchParams.set(key, value);
+    } else {
+      url.searchParams.delete(key);
+    }
+  }
+  url.search = url.searchParams.toString().replace(/%2C/g, ',');
+  return url.toString();
+}
+
+function saveHomeState(push) {
+  const url = homeStateUrl();
+  searchEntry = false;
+  if (url === location.href) return;
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(history.state, '', url);
+  }
+}
+
+// The first keystroke of a search gets its own history entry; the rest
+// update it, so Back returns to the state before the search.
+function saveSearchState() {
+  const push = !searchEntry;
+  saveHomeState(push);
+  searchEntry = true;
+}
+
+function applyHomeState(state, scroll) {
+  const known = document.querySelector(`#categoryTabs .tab[data-category="${state.category}"]`);
+  const category = known ? state.category : 'all';
+  if (category !== activeCategory || state.query !== searchQuery || state.sort !== skillSort) {
+    setActiveCategory(category);
+    searchQuery = state.query;
+    skillSort = state.sort;
+    document.getElementById('skillSearch').value = state.query;
+    document.getElementById('skillSort').value = state.sort;
+    renderSkills();
+  }
+  document.querySelectorAll('#tagGrid .tag-card').forEach(card => {
+    setTagExpanded(card, state.open.includes(card.dataset.tag));
+  });
+
+  const target = state.at && document.getElementById(state.at);
+  scrollTarget = target ? state.at : '';
+  if (scroll && target) target.scrollIntoView();
+}
+
+// The last home section whose top has scrolled past the upper third of
+// the window, or '' near the top of the page.
+function currentSection() {
+  const line = window.innerHeight / 3;
+  const passed = [...document.querySelectorAll('main > section[id]:not([hidden])')]
+    .filter(section => section.getBoundingClientRect().top <= line);
+  return passed.length ? passed[passed.length - 1].id : '';
+}
+
+function setupUrlState() {
+  applyHomeState(readHomeState(), !location.hash.startsWith('#/'));
+
+  window.addEventListener('popstate', () => {
+    searchEntry = false;
+    applyHomeState(readHomeState(), false);
+  });
+
+  let timer = null;
+  window.addEventListener('scroll', () => {
+    if (document.body.classList.contains('view-open')) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const section = currentSection();
+      if (section === scrollTarget || document.body.classList.contains('view-open')) return;
+      scrollTarget = section;
+      history.replaceState(history.state, '', homeStateUrl());
+    }, 200);
+  }, { passive: true });
+}